@@ -13,6 +13,7 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { execSync } from 'child_process';
 import crypto from 'crypto';
+import { compileTemplateFile, getCompiledPath, createManifest, MANIFEST_FILE } from '../src/fml/compiler/aot.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -240,7 +241,8 @@ class FoloniteBuildSystem {
       path.join(this.config.outputDir, this.config.outputStructure.static),
       path.join(this.config.outputDir, 'views'),
       path.join(this.config.outputDir, 'api'),
-      path.join(this.config.outputDir, 'fml')
+      path.join(this.config.outputDir, 'fml'),
+      path.join(this.config.outputDir, 'templates')
     ];
     
     for (const dir of dirs) {
@@ -260,28 +262,39 @@ class FoloniteBuildSystem {
       return;
     }
     
-    const fmlFiles = this.getAllFiles(this.config.fmlDir, '.fml');
+    // Templates: pages, layouts, components and partials (the engine's own examples excluded)
+    const fmlFiles = this.getAllFiles(this.config.sourceDir, '.fml')
+      .filter(file => !path.resolve(file).startsWith(path.resolve(this.config.fmlDir) + path.sep));
     
+    // Components resolve against the same registry the server builds at startup
+    const { registerComponents, components } = await import('../src/views/registerComponents.js');
+    await registerComponents(false, { watchMode: false, validateComponents: false });
+    
+    const templatesDir = path.join(this.config.outputDir, 'templates');
+    const compiledTemplates = [];
     for (const fmlFile of fmlFiles) {
       try {
-        const relativePath = path.relative(this.config.fmlDir, fmlFile);
-        const outputPath = path.join(this.config.outputDir, 'fml', relativePath);
+        const outputPath = getCompiledPath(fmlFile, templatesDir);
         
         await this.ensureDirectory(path.dirname(outputPath));
         
-        const content = fs.readFileSync(fmlFile, 'utf8');
-        
         // Pre-compile FML templates
-        const compiled = this.compileFML(content);
+        const compiled = this.compileFML(fmlFile, components);
         
-        fs.writeFileSync(outputPath, compiled, 'utf8');
+        fs.writeFileSync(outputPath, compiled.code, 'utf8');
         this.stats.filesProcessed++;
-        this.stats.addFile(compiled.length);
+        this.stats.addFile(compiled.code.length);
+        compiledTemplates.push(compiled);
       } catch (err) {
         this.stats.errors.push(`FML processing failed for ${fmlFile}: ${err.message}`);
       }
     }
     
+    // The server loads templates through the manifest (FML_PRECOMPILED=true)
+    const manifest = JSON.stringify(createManifest(compiledTemplates, templatesDir), null, 2);
+    fs.writeFileSync(path.join(templatesDir, MANIFEST_FILE), manifest, 'utf8');
+    this.stats.addFile(manifest.length);
+    
     // Copy FML engine files
     const fmlEngineFiles = this.getAllFiles(this.config.fmlDir, '.js');
     for (const file of fmlEngineFiles) {
@@ -291,13 +304,15 @@ class FoloniteBuildSystem {
       fs.copyFileSync(file, outputPath);
     }
     
-    success(`Processed ${fmlFiles.length} FML files`);
+    success(`Compiled ${compiledTemplates.length} of ${fmlFiles.length} FML templates`);
   }
 
-  compileFML(content) {
-    // Pre-compile FML templates for faster runtime
-    // This is a simplified version - extend based on your FML implementation
-    return content;
+  /**
+   * Generate the ES module a built server renders `filePath` with
+   * (see src/fml/compiler/codegen.js), plus the hashes its manifest entry records
+   */
+  compileFML(filePath, components = {}) {
+    return compileTemplateFile(filePath, components);
   }
 
   async bundlePages() {
@@ -1,7 +1,10 @@
 import express from 'express';
 import compression from 'compression';
 import { registerComponents } from './src/views/registerComponents.js';
-import { renderPage, renderPageStream } from './src/views/renderPage.js';
+import { renderPageResponse, renderPageStream, renderErrorPage } from './src/views/renderPage.js';
+import { isValidPagePath } from './src/router.js';
+import { registerRuntimeRoutes } from './src/views/runtimeRoutes.js';
+import { registerLiveReloadRoutes } from './src/views/liveReload.js';
 import path from 'path';
 import fs from 'fs';
 import { pathToFileURL } from 'url';
@@ -134,10 +137,12 @@ if (isDev) {
     try {
       const { getRenderStats } = await import('./src/views/renderPage.js');
       const { getRegistrationStats } = await import('./src/views/registerComponents.js');
+      const { getTemplateCacheStats } = await import('./src/fml/index.js');
       
       res.json({
         render: getRenderStats(),
         components: getRegistrationStats(),
+        templateCache: getTemplateCacheStats(),
         server: stats
       });
     } catch (err) {
@@ -175,50 +180,82 @@ function registerPageRenderer() {
     try {
       const page = req.path === '/' ? 'home' : req.path.substring(1);
       
-      if (!/^[a-zA-Z0-9/_-]*$/.test(page)) {
+      // Route matching happens in the route table; only reject paths no route could name
+      if (!isValidPagePath(page)) {
         return res.status(400).json({ error: 'Invalid page name' });
       }
 
       res.setHeader('Content-Type', 'text/html; charset=utf-8');
 
+      const options = { ...req.query, development: isDev };
+
       if (req.query.stream === 'true') {
-        const stream = renderPageStream(page, { ...req.query, development: isDev });
-        res.write('<!DOCTYPE html>');
-        stream.pipe(res, { end: false });
-        stream.on('end', () => res.end());
+        const stream = renderPageStream(page, options, req);
+
+        // Route + loader settle before any bytes, so redirects and 404s keep their status
+        const { statusCode, redirect, error } = await stream.ready;
+        if (redirect) {
+          stream.destroy();
+          return res.redirect(redirect.statusCode, redirect.location);
+        }
+        if (error) {
+          stream.destroy();
+          const { html } = await renderErrorPage(statusCode, error, options, req);
+          return res.status(statusCode).send(html);
+        }
+
+        // compression() buffers until flushed; flush every chunk so the head
+        // and layout chrome reach the browser while the body is still rendering
+        stream.pipe(res);
+        stream.on('data', () => res.flush?.());
         stream.on('error', next);
+        res.on('close', () => stream.destroy());
       } else {
-        const html = await renderPage(page, { ...req.query, development: isDev });
-        res.send(html);
+        const { html, statusCode, redirect } = await renderPageResponse(page, options, req);
+        if (redirect) {
+          return res.redirect(redirect.statusCode, redirect.location);
+        }
+        res.status(statusCode).send(html);
       }
     } catch (err) {
       next(err);
     }
   });
 
-  // 404 handler
-  app.use((req, res) => {
-    res.status(404).send(`
-      <!DOCTYPE html>
-      <html><head><title>404 - Page Not Found</title></head>
-      <body style="font-family: system-ui; padding: 40px; text-align: center;">
-        <h1>404 - Page Not Found</h1>
-        <p>The page <code>${req.path}</code> could not be found.</p>
-        <p><strong>FML Support:</strong> Create <code>.fml</code> or <code>.js</code> files in <code>src/pages/</code></p>
-        <a href="/">Back to Home</a>
-        ${isDev ? '<a href="/debug/fml" style="margin-left: 20px;">FML Debug</a>' : ''}
-      </body></html>
-    `);
+  // 404 handler (non-GET requests that no API claimed) — rendered from src/pages/404
+  app.use(async (req, res, next) => {
+    try {
+      const notFound = new Error(`No route for ${req.method} ${req.path}`);
+      const { html, statusCode } = await renderErrorPage(404, notFound, { development: isDev }, req);
+      res.status(statusCode).type('html').send(html);
+    } catch (err) {
+      next(err);
+    }
   });
 
-  // Error handler
-  app.use((err, req, res, next) => {
+  // Error handler — HTML clients get src/pages/_error, API clients keep the JSON shape
+  app.use(async (err, req, res, next) => {
     stats.errors++;
     console.error('Error:', err.message);
+
+    if (res.headersSent) {
+      return res.end();
+    }
+
+    const statusCode = err.statusCode || err.status || 500;
+
+    if (req.accepts(['json', 'html']) === 'html') {
+      try {
+        const { html } = await renderErrorPage(statusCode, err, { development: isDev }, req);
+        return res.status(statusCode).type('html').send(html);
+      } catch (renderErr) {
+        console.error('Error page failed:', renderErr.message);
+      }
+    }
     
     const isFMLError = err.message?.includes('FML');
     
-    res.status(500).json({
+    res.status(statusCode).json({
       error: isDev ? err.message : 'Internal Server Error',
       fmlError: isFMLError,
       stack: isDev ? err.stack : undefined
@@ -298,6 +335,12 @@ async function start() {
     // Load API routes FIRST
     await loadAPIs();
     
+    // Client runtime and island component modules, ahead of the page wildcard
+    registerRuntimeRoutes(app);
+
+    // Dev-only stream that reloads open pages when their files change
+    registerLiveReloadRoutes(app);
+
     // Register wildcard page renderer AFTER APIs
     registerPageRenderer();
     
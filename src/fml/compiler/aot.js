@@ -0,0 +1,155 @@
+// src/fml/compiler/aot.js
+// FML Ahead-of-Time Templates — Builds .fml files into ES modules and loads them in production (server only)
+
+import path from 'path';
+import fs from 'fs';
+import crypto from 'crypto';
+import { pathToFileURL } from 'url';
+import { FMLParser } from '../parser/parser.js';
+import { FMLCompiler } from './compiler.js';
+import { generateModule } from './codegen.js';
+import { compileInclude, resetIncludes, getIncludedFiles } from './partials.js';
+
+// Where `npm run build` writes generated modules, mirroring the project layout
+export const TEMPLATES_DIR = path.resolve('./dist/templates');
+
+// Template path → module, hash and dependencies; written last by the build
+export const MANIFEST_FILE = 'manifest.json';
+
+// Template path → compiled template, resolved once per process
+let manifestTemplates = null;
+
+function relative(filePath) {
+  return path.relative(process.cwd(), filePath).replace(/\\/g, '/');
+}
+
+/**
+ * Full sha256 of a template (or any string), hex encoded
+ */
+export function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+export function hashTemplate(content) {
+  return hashContent(content).slice(0, 16);
+}
+
+function hashFile(filePath) {
+  const content = fs.readFileSync(path.resolve(filePath), 'utf-8');
+  return hashTemplate(content);
+}
+
+/**
+ * Precompiled templates are only used by a server started from a build:
+ * NODE_ENV=production together with FML_PRECOMPILED=true
+ */
+export function isPrecompiledEnabled() {
+  return process.env.NODE_ENV === 'production' && process.env.FML_PRECOMPILED === 'true';
+}
+
+/**
+ * src/pages/home.fml → dist/templates/src/pages/home.fml.js
+ */
+export function getCompiledPath(filePath, outputDir = TEMPLATES_DIR) {
+  return path.join(path.resolve(outputDir), `${relative(path.resolve(filePath))}.js`);
+}
+
+/**
+ * Compile a template file to module source (see codegen.js). Included
+ * partials are compiled into it; their hashes are recorded so a changed
+ * partial makes the module stale.
+ * @param {string} filePath
+ * @param {Object} components - Registry the template's components resolve against
+ * @returns {{ source: string, hash: string, dependencies: Object<string, string>, code: string }}
+ */
+export function compileTemplateFile(filePath, components = {}) {
+  const absolutePath = path.resolve(filePath);
+  const content = fs.readFileSync(absolutePath, 'utf-8');
+
+  resetIncludes(absolutePath);
+  const ast = new FMLParser({ phase2: true }).parse(content);
+  const compiled = new FMLCompiler({ components, phase2: true, filePath: absolutePath, resolveInclude: compileInclude })
+    .compile(ast);
+
+  const dependencies = {};
+  for (const partialPath of getIncludedFiles(absolutePath)) {
+    dependencies[relative(partialPath)] = hashFile(partialPath);
+  }
+
+  const meta = { source: relative(absolutePath), hash: hashTemplate(content), dependencies };
+  return { ...meta, code: generateModule(compiled, meta) };
+}
+
+/**
+ * Manifest listing the modules a build generated
+ * @param {Array<{ source: string, hash: string, dependencies: Object }>} templates - compileTemplateFile() results
+ * @param {string} outputDir - Where the modules were written
+ */
+export function createManifest(templates, outputDir = TEMPLATES_DIR) {
+  const entries = {};
+  for (const { source, hash, dependencies } of templates) {
+    entries[source] = {
+      module: path.relative(path.resolve(outputDir), getCompiledPath(source, outputDir)).replace(/\\/g, '/'),
+      hash,
+      dependencies
+    };
+  }
+  return { version: 1, builtAt: new Date().toISOString(), templates: entries };
+}
+
+/**
+ * Read the manifest and import every module whose template and partials
+ * still match the build. Runs once; templates edited since the build are
+ * left out and compile at runtime instead.
+ */
+async function loadManifestTemplates() {
+  const templates = new Map();
+  const manifestPath = path.join(TEMPLATES_DIR, MANIFEST_FILE);
+
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+  } catch (error) {
+    console.warn(`⚠️ No template manifest at ${relative(manifestPath)} (${error.message}), compiling templates at runtime`);
+    return templates;
+  }
+
+  for (const [source, entry] of Object.entries(manifest.templates || {})) {
+    try {
+      const changed = [[source, entry.hash], ...Object.entries(entry.dependencies || {})]
+        .find(([file, hash]) => hashFile(file) !== hash);
+      if (changed) {
+        console.warn(`⚠️ ${changed[0]} changed since the build, ${source} compiles at runtime`);
+        continue;
+      }
+
+      const module = await import(pathToFileURL(path.join(TEMPLATES_DIR, entry.module)).href);
+      templates.set(path.resolve(source), module.template);
+    } catch (error) {
+      console.warn(`⚠️ Could not load precompiled ${source}: ${error.message}`);
+    }
+  }
+
+  console.log(`📦 Loaded ${templates.size} precompiled FML templates`);
+  return templates;
+}
+
+/**
+ * The precompiled template for a file, when the server runs from a build.
+ * No source is read here: the manifest was checked when first loaded.
+ * @param {string} filePath
+ * @returns {Promise<Object|null>} A node of type "compiled", or null to compile at runtime
+ */
+export async function loadCompiledTemplate(filePath) {
+  if (!isPrecompiledEnabled()) return null;
+
+  manifestTemplates ??= loadManifestTemplates();
+  return (await manifestTemplates).get(path.resolve(filePath)) || null;
+}
+
+/**
+ * Template source for a render that has no precompiled template
+ */
+export function readTemplateSource(filePath) {
+  return fs.promises.readFile(filePath, 'utf-8');
+}
@@ -0,0 +1,211 @@
+// src/fml/compiler/codegen.js
+// FML Code Generator — Turns a compiled template into an ES module that renders it with hoisted static HTML
+
+import { escapeHtml, escapeAttribute } from '../utils/escape.js';
+import { SELF_CLOSING_TAGS } from './compiler.js';
+
+/**
+ * A subtree generated as its own render function (`tN`), standing in for the
+ * compiled nodes inside a delegated node: a loop body, component children…
+ */
+class TemplateRef {
+  constructor(index) {
+    this.index = index;
+  }
+}
+
+function codegenError(message) {
+  const error = new Error(message);
+  error.code = 'CODEGEN_ERROR';
+  return error;
+}
+
+// === SERIALIZATION ===
+
+/**
+ * JavaScript source for a compiled node. Functions (the resolved `component`)
+ * are left out; the renderer looks components up by name instead.
+ */
+function toSource(value) {
+  if (value instanceof TemplateRef) return `{ type: "compiled", render: t${value.index} }`;
+  if (value === undefined) return 'undefined';
+  if (typeof value === 'number') {
+    if (Object.is(value, -0)) return '-0';
+    return Number.isFinite(value) ? String(value) : value > 0 ? 'Infinity' : value < 0 ? '-Infinity' : 'NaN';
+  }
+  if (typeof value === 'bigint') return `${value}n`;
+  if (value === null || typeof value === 'string' || typeof value === 'boolean') return JSON.stringify(value);
+  if (Array.isArray(value)) return `[${value.map(toSource).join(', ')}]`;
+
+  if (Object.getPrototypeOf(value) === Object.prototype || Object.getPrototypeOf(value) === null) {
+    const entries = Object.entries(value)
+      .filter(([, entry]) => typeof entry !== 'function')
+      .map(([key, entry]) => `${JSON.stringify(key)}: ${toSource(entry)}`);
+    return entries.length > 0 ? `{ ${entries.join(', ')} }` : '{}';
+  }
+
+  throw codegenError(`Cannot generate code for ${Object.prototype.toString.call(value)} in a compiled template`);
+}
+
+// === TEMPLATES ===
+
+function hoistString(html, state) {
+  if (!state.strings.has(html)) state.strings.set(html, state.strings.size);
+  return `S${state.strings.get(html)}`;
+}
+
+function hoistNode(node, state) {
+  state.nodes.push(toSource(node));
+  return `N${state.nodes.length - 1}`;
+}
+
+/**
+ * Generate `node` as render function tN and return a reference to it
+ */
+function generateTemplate(node, state) {
+  const index = state.templates.length;
+  state.templates.push(null);
+
+  const parts = [];
+  emit(node, parts, state);
+
+  // Adjacent static HTML becomes one hoisted string
+  const merged = [];
+  for (const part of parts) {
+    const last = merged[merged.length - 1];
+    if (part.html !== undefined && last?.html !== undefined) {
+      last.html += part.html;
+    } else if (part.html !== '') {
+      merged.push({ ...part });
+    }
+  }
+
+  const body = merged.map(part => part.html !== undefined ? hoistString(part.html, state) : part.code);
+  state.templates[index] = `function t${index}(r) {\n  return ${body.length > 0 ? body.join(' + ') : '""'};\n}`;
+  return new TemplateRef(index);
+}
+
+// Compiled children as a single generated template, keeping "no children" empty
+function generateChildren(children, state) {
+  if (!Array.isArray(children) || children.length === 0) return children;
+  return [generateTemplate({ type: 'fragment', children }, state)];
+}
+
+/**
+ * Static HTML where the renderer's output never depends on props or context;
+ * everything else is a call back into the renderer (`r`) with its node hoisted
+ */
+function emit(node, parts, state) {
+  if (!node) return;
+
+  switch (node.type) {
+    case 'text':
+      parts.push({ html: escapeHtml(String(node.content || '')) });
+      break;
+    case 'fragment':
+      for (const child of node.children || []) emit(child, parts, state);
+      break;
+    case 'element':
+      if (node.tagName && typeof node.tagName === 'string') {
+        emitElement(node, parts, state);
+      } else {
+        parts.push({ code: `r.render(${hoistNode(node, state)})` });
+      }
+      break;
+    default:
+      parts.push({ code: `r.render(${hoistNode(delegate(node, state), state)})` });
+  }
+}
+
+// Same markup as ServerRenderer.renderElement()
+function emitElement(node, parts, state) {
+  const { tagName, attributes = {}, children = [] } = node;
+  const entries = Object.entries(attributes || {});
+
+  parts.push({ html: `<${tagName}` });
+  if (entries.every(([, attr]) => attr.type === 'static')) {
+    for (const [name, attr] of entries) {
+      parts.push({ html: attr.value === true ? ` ${name}` : ` ${name}="${escapeAttribute(String(attr.value ?? ''))}"` });
+    }
+  } else {
+    // Dynamic values and event hints (which depend on hydration) are rendered per request
+    parts.push({ code: `r.renderAttributes(${hoistNode(attributes, state)})` });
+  }
+
+  if (SELF_CLOSING_TAGS.has(tagName.toLowerCase())) {
+    parts.push({ html: ' />' });
+    return;
+  }
+
+  parts.push({ html: '>' });
+  if (tagName.toLowerCase() === 'style') {
+    parts.push({ html: children.map(child => child.content || '').join('') });
+  } else {
+    for (const child of children) emit(child, parts, state);
+  }
+  parts.push({ html: `</${tagName}>` });
+}
+
+/**
+ * A node the renderer handles itself. Subtrees it only renders (never
+ * inspects) are generated too; <Head>, <Switch> and <Suspense> stay as compiled.
+ */
+function delegate(node, state) {
+  switch (node.type) {
+    case 'for':
+      return { ...node, body: generateTemplate(node.body, state) };
+    case 'component':
+      return {
+        ...node,
+        children: generateChildren(node.children, state),
+        slots: Object.fromEntries(Object.entries(node.slots || {})
+          .map(([name, content]) => [name, generateChildren(content, state)]))
+      };
+    case 'slot':
+      return { ...node, fallback: generateChildren(node.fallback, state) };
+    case 'include':
+      // Its absolute `path` is the build machine's; the module's dependencies list the partial
+      return { type: node.type, src: node.src, template: generateTemplate(node.template, state), with: node.with };
+    default:
+      return node;
+  }
+}
+
+// === MODULE ===
+
+/**
+ * ES module source for a compiled template. It has no imports: it exports
+ * `template`, a node of type "compiled" whose render(renderer) returns the HTML.
+ * @param {Object} compiled - FMLCompiler output
+ * @param {Object} [meta]
+ * @param {string} [meta.source] - Template path, relative to the project
+ * @param {string} [meta.hash] - Hash of the template source the module was generated from
+ * @param {Object<string, string>} [meta.dependencies] - Included partial path → hash
+ * @returns {string}
+ */
+export function generateModule(compiled, { source = null, hash = null, dependencies = {} } = {}) {
+  const state = { strings: new Map(), nodes: [], templates: [] };
+  const root = generateTemplate(compiled, state);
+
+  const lines = [
+    `// Generated from ${source || 'an FML template'} by the FML compiler. Do not edit.`,
+    '',
+    `export const source = ${JSON.stringify(source)};`,
+    `export const hash = ${JSON.stringify(hash)};`,
+    `export const dependencies = ${JSON.stringify(dependencies, null, 2)};`,
+    ''
+  ];
+
+  for (const [html, index] of state.strings) {
+    lines.push(`const S${index} = ${JSON.stringify(html)};`);
+  }
+  state.nodes.forEach((node, index) => lines.push(`const N${index} = ${node};`));
+  if (state.strings.size > 0 || state.nodes.length > 0) lines.push('');
+
+  for (const template of state.templates) {
+    lines.push(template, '');
+  }
+
+  lines.push(`export const template = ${toSource(root)};`, '');
+  return lines.join('\n');
+}
@@ -2,6 +2,10 @@
 // Fixed FML Compiler - Phase 2 Compatible
 
 import { createFMLError } from '../utils/helpers.js';
+import { parseExpression, locateExpressionError, ALLOWED_METHODS, BLOCKED_PROPERTIES } from './expression.js';
+import { getFilter } from './filters.js';
+import { getScopeAttribute, scopeCss } from './styles.js';
+import { simpleHash } from '../utils/helpers.js';
 
 /**
  * AST Node Types (must match parser)
@@ -15,10 +19,13 @@ export const NodeType = {
   ATTRIBUTE: 'Attribute',
   // Phase 2 additions
   IF: 'If',
+  ELSE: 'Else',
+  ELSE_IF: 'ElseIf',
   FOR: 'For',
   SWITCH: 'Switch',
   CASE: 'Case',
-  DEFAULT: 'Default'
+  DEFAULT: 'Default',
+  SLOT: 'Slot'
 };
 
 /**
@@ -74,9 +81,20 @@ export const SELF_CLOSING_TAGS = new Set([
 
 // Built-in FML directives
 const BUILTIN_DIRECTIVES = new Set([
-  'If', 'Else', 'ElseIf', 'For', 'Switch', 'Case', 'Default', 'Slot'
+  'If', 'Else', 'ElseIf', 'For', 'Switch', 'Case', 'Default', 'Slot', 'Head', 'Suspense', 'Html', 'Include', 'Fragment', 'Props', 'Prop'
 ]);
 
+function isScopedStyle(node) {
+  return node.type === NodeType.ELEMENT &&
+    node.tagName.toLowerCase() === 'style' &&
+    (node.attributes || []).some(attr => attr.name === 'scoped');
+}
+
+// <style> content is a single raw text node (see the lexer)
+function getStyleText(node) {
+  return (node.children || []).map(child => child.content || '').join('');
+}
+
 /**
  * Validates if a tag name is a standard HTML element
  */
@@ -125,6 +143,22 @@ export class FMLCompiler {
     this.debug = options.debug || false;
     this.phase2 = options.phase2 !== false;
     this.context = new Map();
+    this.filePath = options.filePath || null; // File being compiled, for resolving <Include>
+    this.resolveInclude = options.resolveInclude || null; // (src, compiler) → { path, template }
+    this.scopeAttribute = null; // Set per compile() when the template has <style scoped>
+  }
+
+  /**
+   * A compiler with the same settings for another file (an included partial)
+   */
+  fork(filePath) {
+    return new FMLCompiler({
+      components: this.components,
+      debug: this.debug,
+      phase2: this.phase2,
+      filePath,
+      resolveInclude: this.resolveInclude
+    });
   }
 
   // Main compilation method
@@ -133,6 +167,7 @@ export class FMLCompiler {
       throw new Error('Invalid AST: expected Document node');
     }
 
+    this.scopeAttribute = this.resolveScopeAttribute(ast);
     const compiled = this.compileNode(ast);
 
     if (this.debug) {
@@ -142,6 +177,26 @@ export class FMLCompiler {
     return compiled;
   }
 
+  /**
+   * The attribute this template's elements carry when it has <style scoped>
+   * blocks anywhere in it, so rules can match them wherever the block sits
+   */
+  resolveScopeAttribute(ast) {
+    const styles = [];
+    const pending = [ast];
+
+    while (pending.length > 0) {
+      const node = pending.pop();
+      if (isScopedStyle(node)) {
+        styles.push(getStyleText(node));
+      } else if (Array.isArray(node.children)) {
+        pending.push(...node.children);
+      }
+    }
+
+    return styles.length > 0 ? getScopeAttribute(styles.join('\n')) : null;
+  }
+
   // Compile individual node
   compileNode(node) {
     if (!node) return null;
@@ -159,9 +214,17 @@ export class FMLCompiler {
         case NodeType.INTERPOLATION:
           return this.compileInterpolation(node);
         
-        // Phase 2 directives - these should be handled as components in the enhanced parser
-        case NodeType.IF:
         case NodeType.FOR:
+          return this.compileForNode(node);
+
+        // <Slot name="…">fallback</Slot>; self-closing slots arrive as components
+        case NodeType.SLOT:
+          return this.compileSlotDirective(node);
+
+        case NodeType.IF:
+          return this.compileIfNode(node);
+
+        // Phase 2 directives - these should be handled as components in the enhanced parser
         case NodeType.SWITCH:
           if (this.debug) {
             console.warn(`Directive node ${node.type} should be handled as component. Check parser configuration.`);
@@ -175,6 +238,9 @@ export class FMLCompiler {
           return null;
       }
     } catch (error) {
+      if (error.code === 'EXPRESSION_ERROR' && !error.location && node.location) {
+        error.location = locateExpressionError(error, node.location.start, node.type === NodeType.INTERPOLATION ? node.raw : null);
+      }
       if (this.debug) {
         console.error(`Error compiling node type ${node.type}:`, error);
       }
@@ -203,6 +269,10 @@ export class FMLCompiler {
 
   // Compile HTML element
   compileElement(node) {
+    if (isScopedStyle(node)) {
+      return this.compileScopedStyle(node);
+    }
+
     const element = {
       type: 'element',
       tagName: node.tagName,
@@ -210,6 +280,10 @@ export class FMLCompiler {
       children: []
     };
 
+    if (this.scopeAttribute && node.tagName.toLowerCase() !== 'style') {
+      element.attributes[this.scopeAttribute] = { type: 'static', value: true };
+    }
+
     // Compile children
     if (node.children && Array.isArray(node.children)) {
       for (const child of node.children) {
@@ -274,15 +348,55 @@ export class FMLCompiler {
       }
     }
 
+    const { content, slots } = this.projectSlots(children);
+
     return {
       type: 'component',
       name: componentName,
       props,
-      children,
+      children: content,
+      slots,
       component: this.components[componentName]
     };
   }
 
+  /**
+   * Split compiled component children by their static `slot` attribute.
+   * Elements and components keep their node (minus the attribute);
+   * a <Fragment slot="…"> contributes its children. Everything else is default content.
+   * @returns {{ content: Object[], slots: Object<string, Object[]> }}
+   */
+  projectSlots(children) {
+    const content = [];
+    const slots = {};
+
+    for (const child of children) {
+      let name = null;
+      let projected = [child];
+
+      if (child.type === 'fragment' && child.slot) {
+        name = child.slot;
+        projected = child.children;
+      } else if (child.type === 'element' && child.attributes.slot?.type === 'static') {
+        const { slot, ...attributes } = child.attributes;
+        name = String(slot.value);
+        projected = [{ ...child, attributes }];
+      } else if (child.type === 'component' && child.props.slot?.type === 'static') {
+        const { slot, ...props } = child.props;
+        name = String(slot.value);
+        projected = [{ ...child, props }];
+      }
+
+      if (!name || name === 'default') {
+        content.push(...projected);
+      } else {
+        (slots[name] ||= []).push(...projected);
+      }
+    }
+
+    return { content, slots };
+  }
+
   // Compile built-in directives
   compileDirective(node) {
     const directiveName = node.name;
@@ -304,6 +418,20 @@ export class FMLCompiler {
         return this.compileDefaultDirective(node);
       case 'Slot':
         return this.compileSlotDirective(node);
+      case 'Head':
+        return this.compileHeadDirective(node);
+      case 'Suspense':
+        return this.compileSuspenseDirective(node);
+      case 'Html':
+        return this.compileHtmlDirective(node);
+      case 'Include':
+        return this.compileIncludeDirective(node);
+      case 'Fragment':
+        return this.compileFragmentDirective(node);
+      // Declarations only (see props.js); they render nothing
+      case 'Props':
+      case 'Prop':
+        return null;
       default:
         if (this.debug) {
           console.warn(`Unknown directive: ${directiveName}`);
@@ -360,14 +488,44 @@ export class FMLCompiler {
     const eachProp = props.find(p => p.name === 'each');
     const asProp = props.find(p => p.name === 'as');
     const indexProp = props.find(p => p.name === 'index');
+    const keyProp = props.find(p => p.name === 'key');
 
     if (!eachProp) {
       throw new Error('For directive requires an "each" attribute');
     }
 
+    return this.createForNode(
+      eachProp.value,
+      asProp ? asProp.value : 'item',
+      indexProp ? indexProp.value : 'index',
+      keyProp ? keyProp.value : null,
+      node.children
+    );
+  }
+
+  // <For> as the phase 2 parser emits it, attributes already split into fields
+  // Parser <If> node: its ElseIf/Else branches arrive as `elseChain`
+  compileIfNode(node) {
+    const compileChildren = children => (children || []).map(child => this.compileNode(child)).filter(Boolean);
+
+    return {
+      type: 'if',
+      condition: this.compileExpression(node.condition),
+      children: compileChildren(node.children),
+      branches: (node.elseChain || []).map(branch => (branch.type === NodeType.ELSE
+        ? { type: 'else', children: compileChildren(branch.children) }
+        : { type: 'elseif', condition: this.compileExpression(branch.condition), children: compileChildren(branch.children) }))
+    };
+  }
+
+  compileForNode(node) {
+    return this.createForNode(node.iterable, node.itemName, node.indexName, node.keyExpression, node.children);
+  }
+
+  createForNode(each, itemVar, indexVar, keyExpression, childNodes) {
     const children = [];
-    if (node.children && Array.isArray(node.children)) {
-      for (const child of node.children) {
+    if (childNodes && Array.isArray(childNodes)) {
+      for (const child of childNodes) {
         const compiled = this.compileNode(child);
         if (compiled) {
           children.push(compiled);
@@ -377,9 +535,11 @@ export class FMLCompiler {
 
     return {
       type: 'for',
-      items: this.compileExpression(eachProp.value),
-      itemVar: asProp ? asProp.value : 'item',
-      indexVar: indexProp ? indexProp.value : 'index',
+      items: this.compileExpression(each),
+      itemVar,
+      indexVar,
+      // Evaluated per item; lets the client renderer move DOM instead of rebuilding it
+      key: keyExpression ? this.compileExpression(keyExpression) : null,
       body: children.length === 1 ? children[0] : { type: 'fragment', children }
     };
   }
@@ -456,7 +616,7 @@ export class FMLCompiler {
 
   compileSlotDirective(node) {
     const props = node.props || [];
-    const nameProp = props.find(p => p.name === 'name');
+    const nameProp = node.type === NodeType.SLOT ? { value: node.name } : props.find(p => p.name === 'name');
 
     const children = [];
     if (node.children && Array.isArray(node.children)) {
@@ -475,6 +635,84 @@ export class FMLCompiler {
     };
   }
 
+  // <Fragment> groups children without a wrapper element; slot="…" sends them to a named slot
+  compileFragmentDirective(node) {
+    const { slot } = this.compileProps(node.props || []);
+
+    if (slot && slot.type !== 'static') {
+      throw new Error('Fragment slot attribute must be static');
+    }
+
+    const children = [];
+    if (node.children && Array.isArray(node.children)) {
+      for (const child of node.children) {
+        const compiled = this.compileNode(child);
+        if (compiled) {
+          children.push(compiled);
+        }
+      }
+    }
+
+    return {
+      type: 'fragment',
+      slot: slot ? String(slot.value) : null,
+      children
+    };
+  }
+
+  // <Head> content is collected by the renderer and hoisted into the document head
+  compileHeadDirective(node) {
+    const children = [];
+    if (node.children && Array.isArray(node.children)) {
+      for (const child of node.children) {
+        const compiled = this.compileNode(child);
+        if (compiled) {
+          children.push(compiled);
+        }
+      }
+    }
+
+    return {
+      type: 'head',
+      children
+    };
+  }
+
+  // <Suspense> streams its fallback while async children render: markup in a
+  // <Fragment slot="fallback">, or fallback="…" as a shorthand for plain text
+  compileSuspenseDirective(node) {
+    const { fallback = null } = this.compileProps(node.props || []);
+
+    const children = [];
+    if (node.children && Array.isArray(node.children)) {
+      for (const child of node.children) {
+        const compiled = this.compileNode(child);
+        if (compiled) {
+          children.push(compiled);
+        }
+      }
+    }
+
+    const { content, slots } = this.projectSlots(children);
+    const unknownSlot = Object.keys(slots).find(name => name !== 'fallback');
+    if (unknownSlot) {
+      throw new Error(`Suspense has no "${unknownSlot}" slot, only "fallback"`);
+    }
+
+    return {
+      type: 'suspense',
+      fallback,
+      fallbackContent: slots.fallback || null,
+      children: content
+    };
+  }
+
+  // <style scoped> is hoisted by the renderer; `id` keeps it to one copy per page
+  compileScopedStyle(node) {
+    const css = scopeCss(getStyleText(node), this.scopeAttribute);
+    return css ? { type: 'style', id: simpleHash(css), css } : null;
+  }
+
   // Compile text node
   compileText(node) {
     return {
@@ -488,7 +726,47 @@ export class FMLCompiler {
     return {
       type: 'interpolation',
       expression: node.expression,
-      compiled: this.compileExpression(node.expression)
+      compiled: this.compileExpression(node.expression),
+      ...(node.html && { html: true })
+    };
+  }
+
+  // <Include src="partials/footer.fml" with={{ … }} /> inlines a compiled partial; `with` adds to its context
+  compileIncludeDirective(node) {
+    const { src, with: locals } = this.compileProps(node.props || []);
+
+    if (!src || src.type !== 'static' || typeof src.value !== 'string') {
+      throw new Error('Include directive requires a static src attribute');
+    }
+    if (!this.resolveInclude) {
+      throw new Error(`Cannot include "${src.value}": partials are only available in server renders`);
+    }
+
+    const { path, template } = this.resolveInclude(src.value, this);
+
+    return {
+      type: 'include',
+      src: src.value,
+      path,
+      template,
+      with: locals ? (locals.compiled ?? { type: 'literal', value: locals.value, safe: true }) : null
+    };
+  }
+
+  // <Html value={…} policy={…} /> is {@html …} with an optional per-site sanitizer policy
+  compileHtmlDirective(node) {
+    const { value, policy } = this.compileProps(node.props || []);
+
+    if (!value) {
+      throw new Error('Html directive requires a value attribute');
+    }
+
+    return {
+      type: 'interpolation',
+      expression: value.expression ?? JSON.stringify(value.value),
+      compiled: value.type === 'dynamic' ? value.compiled : { type: 'literal', value: value.value, safe: true },
+      html: true,
+      policy: policy ? (policy.compiled ?? { type: 'literal', value: policy.value, safe: true }) : null
     };
   }
 
@@ -505,8 +783,9 @@ export class FMLCompiler {
 
       try {
         if (attr.dynamic) {
+          // Event handlers are bound in the browser, never rendered as attribute values
           compiled[attr.name] = {
-            type: 'dynamic',
+            type: attr.event ? 'event' : 'dynamic',
             expression: attr.value,
             compiled: this.compileExpression(attr.value)
           };
@@ -570,115 +849,21 @@ export class FMLCompiler {
     return compiled;
   }
 
-  // Compile expression (Phase 1: safe property access only, Phase 2: enhanced)
+  /**
+   * Compile an expression to the resolver AST (grammar in ./expression.js).
+   * Phase 1 keeps to property paths and literals; anything else is left unevaluated.
+   */
   compileExpression(expression) {
     const trimmed = (expression || '').trim();
+    if (trimmed === '') return { type: 'literal', value: undefined, safe: true };
 
-    // Safe property chain: user.name, config.api.url
-    if (/^[a-zA-Z_$][\w$]*(\.[a-zA-Z_$][\w$]*)*$/.test(trimmed)) {
-      return {
-        type: 'property',
-        path: trimmed.split('.'),
-        safe: true
-      };
-    }
-
-    // String literals
-    if ((trimmed.startsWith('"') && trimmed.endsWith('"')) ||
-        (trimmed.startsWith("'") && trimmed.endsWith("'"))) {
-      return {
-        type: 'literal',
-        value: trimmed.slice(1, -1),
-        safe: true
-      };
-    }
-
-    // Number literals
-    if (/^-?\d+(\.\d+)?$/.test(trimmed)) {
-      return {
-        type: 'literal',
-        value: parseFloat(trimmed),
-        safe: true
-      };
-    }
-
-    // Boolean literals
-    if (trimmed === 'true') return { type: 'literal', value: true, safe: true };
-    if (trimmed === 'false') return { type: 'literal', value: false, safe: true };
-
-    // Null/undefined
-    if (trimmed === 'null') return { type: 'literal', value: null, safe: true };
-    if (trimmed === 'undefined') return { type: 'literal', value: undefined, safe: true };
-
-    // Phase 2: Enhanced expressions
-    if (this.phase2) {
-      // Array access: items[0], user.data[key]
-      if (/^[a-zA-Z_$][\w$]*(\.[a-zA-Z_$][\w$]*)*\[[^\]]+\]$/.test(trimmed)) {
-        const match = trimmed.match(/^(.+)\[([^\]]+)\]$/);
-        if (match) {
-          const [, basePath, indexExpr] = match;
-          return {
-            type: 'arrayAccess',
-            base: this.compileExpression(basePath),
-            index: this.compileExpression(indexExpr),
-            safe: true
-          };
-        }
-      }
-
-      // Simple comparisons: user.age > 18, status === 'active'
-      const comparisonMatch = trimmed.match(/^(.+?)\s*(===|!==|==|!=|>=|<=|>|<)\s*(.+)$/);
-      if (comparisonMatch) {
-        const [, left, operator, right] = comparisonMatch;
-        return {
-          type: 'comparison',
-          left: this.compileExpression(left.trim()),
-          operator,
-          right: this.compileExpression(right.trim()),
-          safe: true
-        };
-      }
-
-      // Logical operators: user.active && user.verified
-      const logicalMatch = trimmed.match(/^(.+?)\s*(&&|\|\|)\s*(.+)$/);
-      if (logicalMatch) {
-        const [, left, operator, right] = logicalMatch;
-        return {
-          type: 'logical',
-          left: this.compileExpression(left.trim()),
-          operator,
-          right: this.compileExpression(right.trim()),
-          safe: true
-        };
-      }
+    const compiled = parseExpression(trimmed);
 
-      // Function calls: items.length, user.getName()
-      if (/^[a-zA-Z_$][\w$]*(\.[a-zA-Z_$][\w$]*)*\(\)$/.test(trimmed)) {
-        const methodPath = trimmed.replace(/\(\)$/, '');
-        return {
-          type: 'methodCall',
-          path: methodPath.split('.'),
-          args: [],
-          safe: true
-        };
-      }
-
-      // Method calls with property access: tasks.filter(t => t.completed).length
-      if (/\.filter\(/.test(trimmed) || /\.map\(/.test(trimmed) || /\.length$/.test(trimmed)) {
-        return {
-          type: 'complexMethod',
-          expression: trimmed,
-          safe: false // Complex JS expressions are unsafe
-        };
-      }
+    if (!this.phase2 && compiled.type !== 'property' && compiled.type !== 'literal') {
+      return { type: 'expression', code: trimmed, safe: false };
     }
 
-    // Fallback: unsafe expression (blocked in Phase 1, logged in Phase 2)
-    return {
-      type: 'expression',
-      code: trimmed,
-      safe: false
-    };
+    return compiled;
   }
 
   // Add component to registry
@@ -708,79 +893,175 @@ export function resolveExpression(expr, context) {
   if (!expr || typeof context !== 'object' || context === null) return undefined;
 
   if (expr.safe) {
-    if (expr.type === 'property') {
-      return expr.path.reduce((obj, key) => obj && obj[key] !== undefined ? obj[key] : undefined, context);
-    }
-    
-    if (expr.type === 'literal') {
-      return expr.value;
-    }
+    switch (expr.type) {
+      case 'property':
+        return expr.path.reduce((obj, key) => obj != null && obj[key] !== undefined ? obj[key] : undefined, context);
+
+      case 'literal':
+        return expr.value;
+
+      case 'arrayAccess': {
+        const base = resolveExpression(expr.base, context);
+        const index = resolveExpression(expr.index, context);
+        if (base == null || BLOCKED_PROPERTIES.has(String(index))) return undefined;
+        return base[index];
+      }
 
-    // Phase 2: Enhanced expression resolution
-    if (expr.type === 'arrayAccess') {
-      const base = resolveExpression(expr.base, context);
-      const index = resolveExpression(expr.index, context);
-      return base && base[index] !== undefined ? base[index] : undefined;
-    }
+      case 'comparison': {
+        const left = resolveExpression(expr.left, context);
+        const right = resolveExpression(expr.right, context);
+
+        switch (expr.operator) {
+          case '===': return left === right;
+          case '!==': return left !== right;
+          case '==': return left == right;
+          case '!=': return left != right;
+          case '>': return left > right;
+          case '<': return left < right;
+          case '>=': return left >= right;
+          case '<=': return left <= right;
+          default: return false;
+        }
+      }
 
-    if (expr.type === 'comparison') {
-      const left = resolveExpression(expr.left, context);
-      const right = resolveExpression(expr.right, context);
-      
-      switch (expr.operator) {
-        case '===': return left === right;
-        case '!==': return left !== right;
-        case '==': return left == right;
-        case '!=': return left != right;
-        case '>': return left > right;
-        case '<': return left < right;
-        case '>=': return left >= right;
-        case '<=': return left <= right;
-        default: return false;
+      case 'logical': {
+        const left = resolveExpression(expr.left, context);
+
+        if (expr.operator === '&&') return left && resolveExpression(expr.right, context);
+        if (expr.operator === '||') return left || resolveExpression(expr.right, context);
+        if (expr.operator === '??') return left ?? resolveExpression(expr.right, context);
+        return undefined;
       }
-    }
 
-    if (expr.type === 'logical') {
-      const left = resolveExpression(expr.left, context);
-      
-      if (expr.operator === '&&') {
-        return left && resolveExpression(expr.right, context);
+      case 'binary': {
+        const left = resolveExpression(expr.left, context);
+        const right = resolveExpression(expr.right, context);
+
+        switch (expr.operator) {
+          case '+': return left + right;
+          case '-': return left - right;
+          case '*': return left * right;
+          case '/': return left / right;
+          case '%': return left % right;
+          case '**': return left ** right;
+          default: return undefined;
+        }
       }
-      if (expr.operator === '||') {
-        return left || resolveExpression(expr.right, context);
+
+      case 'unary': {
+        const argument = resolveExpression(expr.argument, context);
+
+        switch (expr.operator) {
+          case '!': return !argument;
+          case '-': return -argument;
+          case '+': return +argument;
+          default: return undefined;
+        }
       }
-    }
 
-    if (expr.type === 'methodCall') {
-      const obj = expr.path.slice(0, -1).reduce((obj, key) => obj && obj[key], context);
-      const method = expr.path[expr.path.length - 1];
-      
-      if (obj && typeof obj[method] === 'function') {
-        try {
-          return obj[method]();
-        } catch (error) {
-          console.warn(`Method call error: ${expr.path.join('.')}()`, error);
-          return undefined;
+      case 'conditional':
+        return resolveExpression(expr.test, context)
+          ? resolveExpression(expr.consequent, context)
+          : resolveExpression(expr.alternate, context);
+
+      case 'array':
+        return expr.elements.map(element => resolveExpression(element, context));
+
+      case 'object': {
+        const result = {};
+        for (const { key, value } of expr.properties) {
+          result[key] = resolveExpression(value, context);
         }
+        return result;
       }
-      
-      // Handle property access like .length
-      if (obj && obj[method] !== undefined) {
-        return obj[method];
+
+      case 'call':
+        return callMethod(
+          expr.object ? resolveExpression(expr.object, context) : context,
+          expr.method,
+          expr.args.map(arg => resolveExpression(arg, context)),
+          expr
+        );
+
+      case 'filter':
+        return applyFilter(
+          expr.name,
+          resolveExpression(expr.input, context),
+          expr.args.map(arg => resolveExpression(arg, context))
+        );
+
+      // Trees compiled before calls took arguments: a.b.method()
+      case 'methodCall': {
+        const obj = expr.path.slice(0, -1).reduce((obj, key) => obj && obj[key], context);
+        const method = expr.path[expr.path.length - 1];
+
+        if (obj && typeof obj[method] === 'function') {
+          return callMethod(obj, method, (expr.args || []).map(arg => resolveExpression(arg, context)), expr);
+        }
+
+        // Handle property access like .length
+        if (obj && obj[method] !== undefined) {
+          return obj[method];
+        }
+        return undefined;
       }
     }
   }
 
-  // Block unsafe expressions in Phase 1, warn in Phase 2
+  // Phase 1 leaves anything beyond paths and literals unevaluated
   if (expr.type === 'expression' && !expr.safe) {
     console.warn(`Unsafe expression not evaluated: ${expr.code}`);
     return `[Expr: ${expr.code}]`;
   }
 
-  if (expr.type === 'complexMethod' && !expr.safe) {
-    console.warn(`Complex expression not evaluated: ${expr.expression}`);
-    return `[Complex: ${expr.expression}]`;
+  return undefined;
+}
+
+// Methods already warned about, so a loop doesn't flood the console
+const warnedCalls = new Set();
+
+/**
+ * Call `receiver[method](...args)` if the method is allow-listed or is a
+ * function the context data itself provides. Anything else resolves to undefined.
+ */
+function callMethod(receiver, method, args, expr) {
+  if (receiver == null || BLOCKED_PROPERTIES.has(method)) return undefined;
+
+  const fn = receiver[method];
+  if (typeof fn !== 'function') return undefined;
+
+  if (!ALLOWED_METHODS.has(method) && !Object.prototype.hasOwnProperty.call(receiver, method)) {
+    if (!warnedCalls.has(method)) {
+      warnedCalls.add(method);
+      console.warn(`[FML] ${method}() is not an allowed method in expressions`);
+    }
+    return undefined;
+  }
+
+  try {
+    return fn.apply(receiver, args);
+  } catch (error) {
+    console.warn(`Method call error: ${expr.method || expr.path?.join('.')}()`, error);
+    return undefined;
   }
+}
 
-  return undefined;
-}
\ No newline at end of file
+/**
+ * Run a registered filter. An unknown filter throws rather than let the
+ * unformatted value reach the page; a failing filter passes the value through.
+ */
+function applyFilter(name, value, args) {
+  const filter = getFilter(name);
+  if (!filter) {
+    const error = new Error(`Unknown filter "${name}"`);
+    error.code = 'UNKNOWN_FILTER';
+    throw error;
+  }
+
+  try {
+    return filter(value, ...args);
+  } catch (error) {
+    console.warn(`Filter error: ${name}`, error);
+    return value;
+  }
+}
@@ -0,0 +1,549 @@
+// src/fml/compiler/expression.js
+// FML Expressions — Tokenizer and Pratt parser for the safe expression subset, compiled to the resolver AST
+
+/**
+ * Grammar, loosest binding first:
+ *   value | name(args)  filter pipe (see ./filters.js); top level or in parentheses
+ *   test ? a : b        conditional (right-associative)
+ *   ??  ||  &&          logical (?? cannot mix with || / && without parentheses)
+ *   === !== == !=       comparison
+ *   < > <= >=           comparison
+ *   + -                 binary
+ *   * / %               binary
+ *   **                  binary (right-associative)
+ *   ! - +               unary
+ *   a.b  a?.b  a[i]  a?.[i]  a.m(x)  a?.m(x)
+ *   literals, identifiers, (…), […], {…}
+ *
+ * There is no assignment, `new`, function literals or global access: identifiers
+ * read from the render context, and only allow-listed methods (or functions the
+ * context itself provides) can be called.
+ */
+
+// Methods expressions may call on any value; none mutate their receiver or take code
+export const ALLOWED_METHODS = new Set([
+  // String
+  'charAt', 'endsWith', 'includes', 'indexOf', 'lastIndexOf', 'padEnd', 'padStart',
+  'repeat', 'replace', 'replaceAll', 'slice', 'split', 'startsWith', 'substring',
+  'toLowerCase', 'toUpperCase', 'trim', 'trimEnd', 'trimStart', 'at', 'concat',
+  'localeCompare', 'normalize',
+  // Array (callbacks can only be functions the context provides)
+  'join', 'flat', 'every', 'some', 'filter', 'find', 'findIndex', 'findLast', 'map', 'reduce',
+  // Number / Date
+  'toFixed', 'toPrecision', 'toString', 'toLocaleString', 'toISOString', 'toLocaleDateString',
+  'toLocaleTimeString', 'getTime', 'getFullYear', 'getMonth', 'getDate', 'getDay',
+  'getHours', 'getMinutes', 'getSeconds',
+  // Map / Set
+  'get', 'has'
+]);
+
+// Never readable or callable, whatever the receiver
+export const BLOCKED_PROPERTIES = new Set([
+  '__proto__', 'constructor', 'prototype',
+  '__defineGetter__', '__defineSetter__', '__lookupGetter__', '__lookupSetter__'
+]);
+
+const KEYWORD_LITERALS = { true: true, false: false, null: null, undefined: undefined };
+
+// Reserved words an expression may not use as identifiers
+const UNSUPPORTED_KEYWORDS = new Set([
+  'new', 'function', 'class', 'this', 'typeof', 'instanceof', 'in', 'delete', 'void',
+  'await', 'yield', 'import', 'super', 'var', 'let', 'const', 'return'
+]);
+
+// Longest first, so '===' wins over '=='
+const PUNCTUATORS = [
+  '===', '!==', '**', '?.', '??', '==', '!=', '<=', '>=', '&&', '||',
+  '+', '-', '*', '/', '%', '<', '>', '!', '?', ':', '.', ',', '(', ')', '[', ']', '{', '}', '|'
+];
+
+const BINARY_PRECEDENCE = {
+  '??': 2, '||': 3, '&&': 4,
+  '===': 5, '!==': 5, '==': 5, '!=': 5,
+  '<': 6, '>': 6, '<=': 6, '>=': 6,
+  '+': 7, '-': 7,
+  '*': 8, '/': 8, '%': 8,
+  '**': 9
+};
+
+const CONDITIONAL_PRECEDENCE = 1;
+const UNARY_PRECEDENCE = 10;
+
+const COMPARISON_OPERATORS = new Set(['===', '!==', '==', '!=', '<', '>', '<=', '>=']);
+const LOGICAL_OPERATORS = new Set(['&&', '||', '??']);
+
+// === ERRORS ===
+
+/**
+ * @param {string} message
+ * @param {string} source - The whole expression
+ * @param {number} position - Offset into `source`
+ */
+function expressionError(message, source, position) {
+  const error = new Error(`${message} at column ${position + 1} of expression "${source}"`);
+  error.name = 'FMLExpressionError';
+  error.code = 'EXPRESSION_ERROR';
+  error.expression = source;
+  error.position = position;
+  return error;
+}
+
+function describeToken(token) {
+  if (token.type === 'eof') return 'end of expression';
+  if (token.type === 'string') return `string ${JSON.stringify(token.value)}`;
+  return `"${token.value}"`;
+}
+
+// === TOKENIZER ===
+
+/**
+ * @returns {Array<{ type: 'number'|'string'|'identifier'|'punctuator'|'eof', value: *, start: number }>}
+ */
+export function tokenizeExpression(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    const start = i;
+
+    // Numbers: 12, 1.5, .5, 1e3, 0xff
+    if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(source[i + 1] || ''))) {
+      const match = source.slice(i).match(/^(0[xX][0-9a-fA-F]+|(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?)/);
+      i += match[0].length;
+      if (/[\w$]/.test(source[i] || '')) {
+        throw expressionError(`Invalid number "${source.slice(start, i + 1)}"`, source, start);
+      }
+      tokens.push({ type: 'number', value: Number(match[0]), start });
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      const { value, end } = readString(source, i);
+      tokens.push({ type: 'string', value, start });
+      i = end;
+      continue;
+    }
+
+    if (/[A-Za-z_$]/.test(char)) {
+      const match = source.slice(i).match(/^[A-Za-z_$][\w$]*/);
+      i += match[0].length;
+      tokens.push({ type: 'identifier', value: match[0], start });
+      continue;
+    }
+
+    if (char === '`') {
+      throw expressionError('Template literals are not supported; use + to join strings', source, start);
+    }
+
+    const punctuator = PUNCTUATORS.find(p => source.startsWith(p, i));
+
+    // `a?.5:b` is a conditional, not optional chaining
+    if (punctuator === '?.' && /[0-9]/.test(source[i + 2] || '')) {
+      tokens.push({ type: 'punctuator', value: '?', start });
+      i++;
+      continue;
+    }
+
+    if (!punctuator) {
+      if (source.startsWith('=>', i)) {
+        throw expressionError('Arrow functions are not supported', source, start);
+      }
+      const hint = char === '=' ? ' (assignment is not allowed)' : '';
+      throw expressionError(`Unexpected character "${char}"${hint}`, source, start);
+    }
+
+    tokens.push({ type: 'punctuator', value: punctuator, start });
+    i += punctuator.length;
+  }
+
+  tokens.push({ type: 'eof', value: null, start: source.length });
+  return tokens;
+}
+
+const STRING_ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', v: '\v', 0: '\0' };
+
+function readString(source, start) {
+  const quote = source[start];
+  let value = '';
+  let i = start + 1;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (char === quote) return { value, end: i + 1 };
+
+    if (char === '\\') {
+      const next = source[i + 1];
+      if (next === 'u' || next === 'x') {
+        const length = next === 'u' ? 4 : 2;
+        const hex = source.slice(i + 2, i + 2 + length);
+        if (!new RegExp(`^[0-9a-fA-F]{${length}}$`).test(hex)) {
+          throw expressionError('Invalid escape sequence', source, i);
+        }
+        value += String.fromCharCode(parseInt(hex, 16));
+        i += 2 + length;
+      } else {
+        value += STRING_ESCAPES[next] ?? next;
+        i += 2;
+      }
+      continue;
+    }
+
+    value += char;
+    i++;
+  }
+
+  throw expressionError('Unterminated string', source, start);
+}
+
+// === PARSER ===
+
+class ExpressionParser {
+  constructor(source) {
+    this.source = source;
+    this.tokens = tokenizeExpression(source);
+    this.index = 0;
+    // Nodes written in parentheses, for the ?? mixing rule
+    this.grouped = new WeakSet();
+  }
+
+  parse() {
+    const node = this.parsePipeline();
+    if (this.peek().type !== 'eof') this.unexpected();
+    return node;
+  }
+
+  /**
+   * `value | currency('EUR') | upper` — each filter receives the previous result
+   */
+  parsePipeline() {
+    let node = this.parseExpression(0);
+
+    while (this.isPunctuator('|')) {
+      this.next();
+      const token = this.next();
+      if (token.type !== 'identifier') {
+        throw expressionError(`Expected a filter name but found ${describeToken(token)}`, this.source, token.start);
+      }
+
+      const args = [];
+      if (this.isPunctuator('(')) {
+        this.next();
+        while (!this.isPunctuator(')')) {
+          args.push(this.parseExpression(0));
+          if (!this.isPunctuator(')')) this.expect(',');
+        }
+        this.expect(')');
+      }
+
+      node = { type: 'filter', name: token.value, input: node, args, safe: true };
+    }
+
+    return node;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    const token = this.tokens[this.index];
+    if (token.type !== 'eof') this.index++;
+    return token;
+  }
+
+  isPunctuator(value) {
+    const token = this.peek();
+    return token.type === 'punctuator' && token.value === value;
+  }
+
+  expect(value) {
+    if (!this.isPunctuator(value)) {
+      const token = this.peek();
+      throw expressionError(`Expected "${value}" but found ${describeToken(token)}`, this.source, token.start);
+    }
+    return this.next();
+  }
+
+  unexpected(token = this.peek()) {
+    throw expressionError(`Unexpected ${describeToken(token)}`, this.source, token.start);
+  }
+
+  /**
+   * Pratt loop: parse a prefix, then fold in every infix operator that binds
+   * tighter than `minPrecedence`
+   */
+  parseExpression(minPrecedence) {
+    let left = this.parseUnary();
+
+    for (;;) {
+      const token = this.peek();
+      if (token.type !== 'punctuator') break;
+
+      if (token.value === '?') {
+        if (CONDITIONAL_PRECEDENCE <= minPrecedence) break;
+        this.next();
+        const consequent = this.parseExpression(0);
+        this.expect(':');
+        // Right-associative: a ? b : c ? d : e
+        const alternate = this.parseExpression(CONDITIONAL_PRECEDENCE - 1);
+        left = { type: 'conditional', test: left, consequent, alternate, safe: true };
+        continue;
+      }
+
+      const precedence = BINARY_PRECEDENCE[token.value];
+      if (!precedence || precedence <= minPrecedence) break;
+      this.next();
+
+      const right = this.parseExpression(token.value === '**' ? precedence - 1 : precedence);
+      left = this.createBinary(token, left, right);
+    }
+
+    return left;
+  }
+
+  createBinary(token, left, right) {
+    const operator = token.value;
+
+    if (LOGICAL_OPERATORS.has(operator)) {
+      const mixesNullish = [left, right].some(side =>
+        side.type === 'logical' && !this.grouped.has(side) && (side.operator === '??') !== (operator === '??')
+      );
+      if (mixesNullish) {
+        throw expressionError('Wrap ?? in parentheses when mixing it with && or ||', this.source, token.start);
+      }
+      return { type: 'logical', left, operator, right, safe: true };
+    }
+
+    if (COMPARISON_OPERATORS.has(operator)) {
+      return { type: 'comparison', left, operator, right, safe: true };
+    }
+
+    return { type: 'binary', left, operator, right, safe: true };
+  }
+
+  parseUnary() {
+    const token = this.peek();
+
+    if (token.type === 'punctuator' && (token.value === '!' || token.value === '-' || token.value === '+')) {
+      this.next();
+      const argument = this.parseExpression(UNARY_PRECEDENCE);
+
+      // -1 stays a literal, as it always has
+      if (token.value === '-' && argument.type === 'literal' && typeof argument.value === 'number') {
+        return { type: 'literal', value: -argument.value, safe: true };
+      }
+      return { type: 'unary', operator: token.value, argument, safe: true };
+    }
+
+    return this.parsePostfix(this.parsePrimary());
+  }
+
+  /**
+   * Member access and calls. Every access is null-safe at runtime, so `?.`
+   * parses to the same nodes as `.`.
+   */
+  parsePostfix(node) {
+    for (;;) {
+      const token = this.peek();
+      if (token.type !== 'punctuator') return node;
+
+      if (token.value === '.' || token.value === '?.') {
+        this.next();
+        if (this.isPunctuator('(') && token.value === '?.') {
+          node = this.parseCall(node, token);
+        } else if (this.isPunctuator('[') && token.value === '?.') {
+          node = this.parseComputedMember(node);
+        } else {
+          node = this.createMember(node, this.parsePropertyName());
+        }
+      } else if (token.value === '[') {
+        node = this.parseComputedMember(node);
+      } else if (token.value === '(') {
+        node = this.parseCall(node, token);
+      } else {
+        return node;
+      }
+    }
+  }
+
+  parsePropertyName() {
+    const token = this.next();
+    if (token.type !== 'identifier') {
+      throw expressionError(`Expected a property name but found ${describeToken(token)}`, this.source, token.start);
+    }
+    this.checkPropertyName(token.value, token.start);
+    return token.value;
+  }
+
+  checkPropertyName(name, position) {
+    if (BLOCKED_PROPERTIES.has(name)) {
+      throw expressionError(`"${name}" cannot be accessed in expressions`, this.source, position);
+    }
+  }
+
+  createMember(object, name) {
+    // user.profile.name keeps the flat path form the resolver reads fastest
+    if (object.type === 'property' && !this.grouped.has(object)) {
+      return { type: 'property', path: [...object.path, name], safe: true };
+    }
+    return { type: 'arrayAccess', base: object, index: { type: 'literal', value: name, safe: true }, safe: true };
+  }
+
+  parseComputedMember(object) {
+    const open = this.expect('[');
+    const index = this.parseExpression(0);
+    this.expect(']');
+
+    if (index.type === 'literal') this.checkPropertyName(String(index.value), open.start + 1);
+    return { type: 'arrayAccess', base: object, index, safe: true };
+  }
+
+  parseCall(callee, token) {
+    this.expect('(');
+    const args = [];
+    while (!this.isPunctuator(')')) {
+      args.push(this.parseExpression(0));
+      if (!this.isPunctuator(')')) this.expect(',');
+    }
+    this.expect(')');
+
+    // Only named functions can be called: format(x), user.name.split(' ')
+    if (callee.type === 'property' && !this.grouped.has(callee)) {
+      const object = callee.path.length > 1
+        ? { type: 'property', path: callee.path.slice(0, -1), safe: true }
+        : null;
+      return { type: 'call', object, method: callee.path[callee.path.length - 1], args, safe: true };
+    }
+    if (callee.type === 'arrayAccess' && callee.index.type === 'literal' && typeof callee.index.value === 'string') {
+      return { type: 'call', object: callee.base, method: callee.index.value, args, safe: true };
+    }
+
+    throw expressionError('Only named functions and methods can be called', this.source, token.start);
+  }
+
+  parsePrimary() {
+    const token = this.next();
+
+    switch (token.type) {
+      case 'number':
+      case 'string':
+        return { type: 'literal', value: token.value, safe: true };
+
+      case 'identifier':
+        if (token.value in KEYWORD_LITERALS) {
+          return { type: 'literal', value: KEYWORD_LITERALS[token.value], safe: true };
+        }
+        if (UNSUPPORTED_KEYWORDS.has(token.value)) {
+          throw expressionError(`"${token.value}" is not supported in FML expressions`, this.source, token.start);
+        }
+        this.checkPropertyName(token.value, token.start);
+        return { type: 'property', path: [token.value], safe: true };
+
+      case 'punctuator':
+        if (token.value === '(') {
+          const node = this.parsePipeline();
+          this.expect(')');
+          this.grouped.add(node);
+          return node;
+        }
+        if (token.value === '[') return this.parseArray();
+        if (token.value === '{') return this.parseObject();
+        break;
+    }
+
+    return this.unexpected(token);
+  }
+
+  parseArray() {
+    const elements = [];
+    while (!this.isPunctuator(']')) {
+      elements.push(this.parseExpression(0));
+      if (!this.isPunctuator(']')) this.expect(',');
+    }
+    this.expect(']');
+    return { type: 'array', elements, safe: true };
+  }
+
+  parseObject() {
+    const properties = [];
+
+    while (!this.isPunctuator('}')) {
+      const token = this.next();
+      if (token.type !== 'identifier' && token.type !== 'string' && token.type !== 'number') {
+        throw expressionError(`Expected a property key but found ${describeToken(token)}`, this.source, token.start);
+      }
+
+      const key = String(token.value);
+      this.checkPropertyName(key, token.start);
+
+      let value;
+      if (this.isPunctuator(':')) {
+        this.next();
+        value = this.parseExpression(0);
+      } else if (token.type === 'identifier') {
+        // Shorthand { name }
+        value = { type: 'property', path: [key], safe: true };
+      } else {
+        this.expect(':');
+      }
+
+      properties.push({ key, value });
+      if (!this.isPunctuator('}')) this.expect(',');
+    }
+
+    this.expect('}');
+    return { type: 'object', properties, safe: true };
+  }
+}
+
+/**
+ * Parse an FML expression into the resolver AST consumed by resolveExpression()
+ * @param {string} source
+ * @returns {Object} Resolver node
+ * @throws {Error} `code: 'EXPRESSION_ERROR'` with `position` (offset into `source`)
+ */
+export function parseExpression(source) {
+  return new ExpressionParser(source).parse();
+}
+
+/**
+ * Names of the filters a parsed expression pipes through
+ * @returns {Set<string>}
+ */
+export function findFilterNames(node, names = new Set()) {
+  if (Array.isArray(node)) {
+    node.forEach(child => findFilterNames(child, names));
+  } else if (node && typeof node === 'object') {
+    if (node.type === 'filter') names.add(node.name);
+    Object.values(node).forEach(child => findFilterNames(child, names));
+  }
+  return names;
+}
+
+/**
+ * Template position of an expression error. With the interpolation's raw text
+ * (what sat between the braces) it is the exact column, else `start` itself.
+ * @param {Error} error - An EXPRESSION_ERROR
+ * @param {{ line: number, column: number }} start - Where the `{` or tag begins
+ * @param {string|null} raw
+ */
+export function locateExpressionError(error, start, raw = null) {
+  const { line, column } = start;
+  const offset = typeof raw === 'string' ? raw.indexOf(error.expression) : -1;
+  if (offset === -1) return { line, column };
+
+  const lines = raw.slice(0, offset + error.position).split('\n');
+  const last = lines[lines.length - 1];
+  // +1 steps over the `{`
+  return lines.length === 1
+    ? { line, column: column + 1 + last.length }
+    : { line: line + lines.length - 1, column: last.length + 1 };
+}
@@ -0,0 +1,187 @@
+// src/fml/compiler/filters.js
+// FML Filters — Registry behind `{value | name(args)}` pipes, with Intl-backed built-ins
+
+// Server and browser must format alike, so the default locale is fixed rather than the host's
+let defaultLocale = 'en-US';
+
+// name → { fn, plugin }
+const filters = new Map();
+
+// Intl formatters are expensive to build; cached by constructor, locale and options
+const formatterCache = new Map();
+
+function getFormatter(Formatter, locale, options) {
+  const key = `${Formatter.name}|${locale}|${JSON.stringify(options)}`;
+  let formatter = formatterCache.get(key);
+  if (!formatter) {
+    formatter = new Formatter(locale, options);
+    formatterCache.set(key, formatter);
+  }
+  return formatter;
+}
+
+function toDate(value) {
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function toNumber(value) {
+  const number = typeof value === 'number' ? value : Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// === BUILT-IN FILTERS ===
+
+const DATE_STYLES = new Set(['short', 'medium', 'long', 'full']);
+
+// Largest unit first; relativeTime picks the first one the difference reaches
+const RELATIVE_UNITS = [
+  ['year', 31536000000],
+  ['month', 2592000000],
+  ['week', 604800000],
+  ['day', 86400000],
+  ['hour', 3600000],
+  ['minute', 60000],
+  ['second', 1000]
+];
+
+const BUILTIN_FILTERS = {
+  /**
+   * {order.total | currency('EUR')}
+   */
+  currency(value, currency = 'USD', locale = defaultLocale) {
+    const number = toNumber(value);
+    if (number === null) return value;
+    return getFormatter(Intl.NumberFormat, locale, { style: 'currency', currency }).format(number);
+  },
+
+  /**
+   * {count | number}, {ratio | number(2)} or {size | number({ notation: 'compact' })}
+   * @param {number|Object} [options] - Fraction digits, or Intl.NumberFormat options
+   */
+  number(value, options = {}, locale = defaultLocale) {
+    const number = toNumber(value);
+    if (number === null) return value;
+    const formatOptions = typeof options === 'number'
+      ? { minimumFractionDigits: options, maximumFractionDigits: options }
+      : options;
+    return getFormatter(Intl.NumberFormat, locale, formatOptions).format(number);
+  },
+
+  /**
+   * {post.date | date('short')} or {post.date | date({ month: 'long', year: 'numeric' })}
+   * @param {string|Object} [style] - short | medium | long | full, or Intl.DateTimeFormat options
+   */
+  date(value, style = 'medium', locale = defaultLocale) {
+    const date = toDate(value);
+    if (!date) return value;
+    const options = typeof style === 'string'
+      ? { dateStyle: DATE_STYLES.has(style) ? style : 'medium' }
+      : style;
+    return getFormatter(Intl.DateTimeFormat, locale, options).format(date);
+  },
+
+  /**
+   * {comment.createdAt | relativeTime} → "3 hours ago"
+   */
+  relativeTime(value, locale = defaultLocale) {
+    const date = toDate(value);
+    if (!date) return value;
+
+    const diff = date.getTime() - Date.now();
+    const [unit, size] = RELATIVE_UNITS.find(([, size]) => Math.abs(diff) >= size) || RELATIVE_UNITS[RELATIVE_UNITS.length - 1];
+    return getFormatter(Intl.RelativeTimeFormat, locale, { numeric: 'auto' }).format(Math.round(diff / size), unit);
+  },
+
+  /**
+   * {post.body | truncate(120)}
+   */
+  truncate(value, length = 100, suffix = '…') {
+    if (value == null) return value;
+    const text = String(value);
+    if (text.length <= length) return text;
+    return text.slice(0, Math.max(0, length - suffix.length)).trimEnd() + suffix;
+  },
+
+  upper(value) {
+    return value == null ? value : String(value).toUpperCase();
+  },
+
+  lower(value) {
+    return value == null ? value : String(value).toLowerCase();
+  },
+
+  /**
+   * {config | json(2)} — output is escaped like any other interpolation
+   */
+  json(value, indent = 0) {
+    try {
+      return JSON.stringify(value, null, indent);
+    } catch {
+      return String(value);
+    }
+  }
+};
+
+// === REGISTRY ===
+
+/**
+ * Add a filter. A filter receives the piped value followed by its arguments.
+ * Filters added at runtime (plugins) exist only in the process that added
+ * them: the browser runtime ships the built-ins, so an island using a plugin
+ * filter renders that value empty after hydration and logs UNKNOWN_FILTER.
+ * @param {string} name - Identifier used in templates
+ * @param {Function} fn
+ * @param {string} [plugin] - Owning plugin, so unregistering it removes its filters
+ */
+export function registerFilter(name, fn, plugin = null) {
+  if (typeof name !== 'string' || !/^[A-Za-z_$][\w$]*$/.test(name)) {
+    throw new Error(`Invalid filter name: "${name}"`);
+  }
+  if (typeof fn !== 'function') {
+    throw new Error(`Filter "${name}" must be a function`);
+  }
+
+  const existing = filters.get(name);
+  if (existing && existing.plugin !== plugin) {
+    throw new Error(`Filter "${name}" is already registered${existing.plugin ? ` by plugin "${existing.plugin}"` : ''}`);
+  }
+
+  filters.set(name, { fn, plugin });
+}
+
+export function unregisterFilter(name) {
+  return filters.delete(name);
+}
+
+/**
+ * Remove every filter a plugin registered
+ */
+export function unregisterPluginFilters(plugin) {
+  for (const [name, entry] of filters) {
+    if (entry.plugin === plugin) filters.delete(name);
+  }
+}
+
+export function getFilter(name) {
+  return filters.get(name)?.fn;
+}
+
+export function hasFilter(name) {
+  return filters.has(name);
+}
+
+export function listFilters() {
+  return Array.from(filters, ([name, { plugin }]) => ({ name, plugin }));
+}
+
+/**
+ * Locale the Intl-backed filters use when a template doesn't pass one
+ */
+export function setFilterLocale(locale) {
+  defaultLocale = locale;
+}
+
+for (const [name, fn] of Object.entries(BUILTIN_FILTERS)) {
+  registerFilter(name, fn, 'builtin');
+}
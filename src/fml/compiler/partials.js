@@ -0,0 +1,127 @@
+// src/fml/compiler/partials.js
+// FML Partials — Resolves, compiles and caches <Include src="…"> templates (server only)
+
+import path from 'path';
+import fs from 'fs';
+import { FMLParser, ComponentGraph } from '../parser/parser.js';
+import { cacheTemplate, getCachedTemplate } from '../utils/helpers.js';
+
+export const PARTIALS_DIR = path.resolve('./src/partials');
+
+// Including file → included files (absolute paths), for cycle checks and page dependencies
+const includeGraph = new ComponentGraph();
+
+function relative(filePath) {
+  return path.relative(process.cwd(), filePath).replace(/\\/g, '/');
+}
+
+/**
+ * Find a partial: relative to the including file first, then under src/partials
+ * (where a leading "partials/" is optional). ".fml" is added when no extension is given.
+ * @returns {string} Absolute path
+ */
+export function resolvePartialPath(src, fromFile = null) {
+  const file = path.extname(src) ? src : `${src}.fml`;
+  const candidates = [];
+
+  if (fromFile) candidates.push(path.resolve(path.dirname(fromFile), file));
+  if (!file.startsWith('.')) candidates.push(path.resolve(PARTIALS_DIR, file.replace(/^partials\//, '')));
+
+  const found = candidates.find(candidate => fs.statSync(candidate, { throwIfNoEntry: false })?.isFile());
+  if (!found) {
+    const error = new Error(`Partial "${src}" not found (looked in ${candidates.map(relative).join(', ')})`);
+    error.code = 'PARTIAL_NOT_FOUND';
+    throw error;
+  }
+  return found;
+}
+
+/**
+ * Compile the partial an <Include> points at. Used as the compiler's
+ * `resolveInclude` option; the compiled tree is cached per version of the
+ * file and of the partials it includes.
+ * @param {string} src - The src attribute
+ * @param {import('./compiler.js').FMLCompiler} compiler - Compiler of the including file
+ * @returns {{ path: string, template: Object }}
+ */
+export function compileInclude(src, compiler) {
+  const fromFile = compiler.filePath ? path.resolve(compiler.filePath) : null;
+  const partialPath = resolvePartialPath(src, fromFile);
+
+  if (fromFile) {
+    includeGraph.addDependency(fromFile, partialPath);
+    if (includeGraph.hasCyclicDependency(fromFile)) {
+      const cycle = includeGraph.getCyclePath(fromFile) || [fromFile, partialPath];
+      const error = new Error(`Circular include detected: ${[...cycle, cycle[0]].map(relative).join(' -> ')}`);
+      error.code = 'INCLUDE_CYCLE';
+      throw error;
+    }
+  }
+
+  // The tree embeds the partials it includes, so their versions decide too
+  const { mtimeMs } = fs.statSync(partialPath);
+  const cacheKey = `partial:${partialPath}:${mtimeMs}`;
+  const cached = getCachedTemplate(cacheKey);
+  if (cached && !includesChanged(cached.includes)) {
+    return { path: partialPath, template: cached.template };
+  }
+
+  // Its own includes are recorded again as it compiles
+  resetIncludes(partialPath);
+
+  try {
+    const ast = new FMLParser({ debug: compiler.debug, phase2: compiler.phase2 })
+      .parse(fs.readFileSync(partialPath, 'utf-8'));
+    const template = compiler.fork(partialPath).compile(ast);
+    cacheTemplate(cacheKey, { template, includes: getIncludeVersions(partialPath) });
+    return { path: partialPath, template };
+  } catch (error) {
+    error.filePath ??= partialPath;
+    throw error;
+  }
+}
+
+/**
+ * Forget what a file included, before it is compiled again
+ */
+export function resetIncludes(filePath) {
+  includeGraph.dependencies.delete(path.resolve(filePath));
+}
+
+/**
+ * Every partial a file includes, directly or through other partials
+ * @returns {string[]} Absolute paths
+ */
+export function getIncludedFiles(filePath) {
+  const root = path.resolve(filePath);
+  const found = new Set();
+  const pending = [root];
+
+  while (pending.length > 0) {
+    for (const dependency of includeGraph.dependencies.get(pending.pop()) || []) {
+      if (dependency !== root && !found.has(dependency)) {
+        found.add(dependency);
+        pending.push(dependency);
+      }
+    }
+  }
+
+  return Array.from(found);
+}
+
+function getModifiedTime(filePath) {
+  return fs.statSync(filePath, { throwIfNoEntry: false })?.mtimeMs ?? null;
+}
+
+/**
+ * Modification times of every partial a file includes, recorded with a
+ * compiled tree (which embeds those partials) to tell later whether it is current
+ * @returns {Array<[string, number|null]>}
+ */
+export function getIncludeVersions(filePath) {
+  return getIncludedFiles(filePath).map(partialPath => [partialPath, getModifiedTime(partialPath)]);
+}
+
+export function includesChanged(versions = []) {
+  return versions.some(([partialPath, mtimeMs]) => getModifiedTime(partialPath) !== mtimeMs);
+}
@@ -0,0 +1,142 @@
+// src/fml/compiler/props.js
+// FML Props — Reads a component's <Props> declaration into the schema the validator and renderer check against
+
+import { NodeType, FMLParser } from '../parser/parser.js';
+import { parseExpression } from './expression.js';
+import { resolveExpression } from './compiler.js';
+
+export const PROP_TYPES = new Set(['string', 'number', 'boolean', 'array', 'object', 'function', 'any']);
+
+function propsError(message, node) {
+  const error = new Error(message);
+  error.code = 'PROPS_ERROR';
+  error.location = node?.location?.start;
+  return error;
+}
+
+/**
+ * Whether a runtime value fits a declared type. Unknown types and 'any' always fit.
+ */
+export function matchesPropType(value, type) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && !Number.isNaN(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value);
+    case 'function': return typeof value === 'function';
+    default: return true;
+  }
+}
+
+// Static attribute values are strings; turn them into the declared type
+function coerceStatic(value, type) {
+  if (typeof value !== 'string') return value;
+
+  switch (type) {
+    case 'number': return value.trim() === '' ? NaN : Number(value);
+    case 'boolean': return value === 'true' ? true : value === 'false' ? false : value;
+    case 'array':
+    case 'object':
+      try {
+        return JSON.parse(value);
+      } catch {
+        return value;
+      }
+    default: return value;
+  }
+}
+
+function readDefault(attribute, type, name, node) {
+  let value;
+  try {
+    // Dynamic defaults are literals: {[]}, {{ size: 'md' }}, {10 * 60}
+    value = attribute.dynamic
+      ? resolveExpression(parseExpression(String(attribute.value)), {})
+      : coerceStatic(attribute.value, type);
+  } catch (error) {
+    throw propsError(`Invalid default for prop "${name}": ${error.message}`, node);
+  }
+
+  if (!matchesPropType(value, type)) {
+    throw propsError(`Default for prop "${name}" should be of type ${type}, got ${JSON.stringify(value)}`, node);
+  }
+  return value;
+}
+
+/**
+ * Schema from the <Props> block at the top of a component template:
+ *
+ *   <Props>
+ *     <Prop name="title" type="string" required />
+ *     <Prop name="size" type="string" default="md" />
+ *     <Prop name="tags" type="array" default={[]} />
+ *   </Props>
+ *
+ * The shape is the one FMLValidator's `propTypes` option takes, plus `defaults`.
+ * @param {Object} ast - Parsed template (Document node)
+ * @returns {{ types: Object<string, string>, required: string[], defaults: Object }|null} null without a block
+ */
+export function extractPropsSchema(ast) {
+  const block = (ast?.children || []).find(child => child.type === NodeType.COMPONENT && child.name === 'Props');
+  if (!block) return null;
+
+  const schema = { types: {}, required: [], defaults: {} };
+
+  for (const node of block.children || []) {
+    if (node.type === NodeType.TEXT && !node.content.trim()) continue;
+    if (node.type !== NodeType.COMPONENT || node.name !== 'Prop') {
+      throw propsError('<Props> may only contain <Prop /> declarations', node);
+    }
+
+    const attributes = Object.fromEntries((node.props || []).map(prop => [prop.name, prop]));
+    const name = attributes.name?.value;
+
+    if (!name || attributes.name.dynamic || !/^[A-Za-z_$][\w$]*$/.test(name)) {
+      throw propsError('<Prop> requires a static name that is a valid identifier, e.g. <Prop name="title" />', node);
+    }
+    if (name in schema.types) {
+      throw propsError(`Prop "${name}" is declared twice`, node);
+    }
+
+    const type = attributes.type ? String(attributes.type.value) : 'any';
+    if (!PROP_TYPES.has(type)) {
+      throw propsError(`Prop "${name}" has unknown type "${type}" (expected ${Array.from(PROP_TYPES).join(', ')})`, node);
+    }
+    schema.types[name] = type;
+
+    const required = attributes.required && attributes.required.value !== false && attributes.required.value !== 'false';
+    if (required && attributes.default) {
+      throw propsError(`Prop "${name}" is required, so it cannot have a default`, node);
+    }
+    if (required) schema.required.push(name);
+
+    if (attributes.default) {
+      schema.defaults[name] = readDefault(attributes.default, type, name, node);
+    }
+  }
+
+  return schema;
+}
+
+/**
+ * extractPropsSchema() for template source; templates without a block are not parsed
+ */
+export function readPropsSchema(source) {
+  if (!source.includes('<Props')) return null;
+  return extractPropsSchema(new FMLParser({ phase2: true }).parse(source));
+}
+
+/**
+ * Fill in declared defaults the call site left out. Arrays and objects are
+ * copied, so one render cannot change the default another render sees.
+ * @returns {Object} The same props object
+ */
+export function applyPropDefaults(schema, props) {
+  for (const [name, value] of Object.entries(schema?.defaults || {})) {
+    if (props[name] === undefined) {
+      props[name] = value !== null && typeof value === 'object' ? structuredClone(value) : value;
+    }
+  }
+  return props;
+}
@@ -0,0 +1,188 @@
+// src/fml/compiler/styles.js
+// FML Scoped Styles — Rewrites <style scoped> CSS so it only matches the elements of its own template
+
+import { simpleHash } from '../utils/helpers.js';
+
+// Their rules are scoped like top-level ones; other at-rules (@keyframes, @font-face…) are kept as written
+const GROUPING_AT_RULES = new Set(['media', 'supports', 'container', 'layer', 'document']);
+
+// Pseudo-elements that older CSS writes with a single colon
+const LEGACY_PSEUDO_ELEMENT = /^:(before|after|first-line|first-letter)(?![\w-])/i;
+
+/**
+ * Attribute every element of a template with scoped styles carries.
+ * Derived from the CSS, so server, browser and build agree on it.
+ */
+export function getScopeAttribute(css) {
+  return `data-fml-s-${simpleHash(css)}`;
+}
+
+// === SCANNING ===
+
+// Index of the closing quote of the string opening at `start`
+function skipString(text, start) {
+  const quote = text[start];
+  for (let i = start + 1; i < text.length; i++) {
+    if (text[i] === '\\') i++;
+    else if (text[i] === quote) return i;
+  }
+  return text.length;
+}
+
+// Index of the `}` closing the block opened at `start`
+function findBlockEnd(css, start) {
+  let depth = 0;
+  for (let i = start; i < css.length; i++) {
+    const char = css[i];
+    if (char === '"' || char === "'") i = skipString(css, i);
+    else if (char === '{') depth++;
+    else if (char === '}' && --depth === 0) return i;
+  }
+  return css.length;
+}
+
+/**
+ * Walk `text` from `from` outside strings, parentheses and brackets, calling
+ * `visit(char, index)`. Returning a number from `visit` moves the walk to that index.
+ */
+function scanTopLevel(text, visit, from = 0) {
+  let depth = 0;
+  for (let i = from; i < text.length; i++) {
+    const char = text[i];
+    if (char === '"' || char === "'") {
+      i = skipString(text, i);
+    } else if (char === '(' || char === '[') {
+      depth++;
+    } else if (char === ')' || char === ']') {
+      depth--;
+    } else if (depth === 0) {
+      const next = visit(char, i);
+      if (typeof next === 'number') i = next;
+    }
+  }
+}
+
+// === SELECTORS ===
+
+/**
+ * Split a complex selector into compound selectors and the combinators between them
+ * @returns {{ compound: string, combinator: string }[]}
+ */
+function splitCompounds(selector) {
+  const parts = [];
+  let start = 0;
+
+  scanTopLevel(selector, (char, i) => {
+    if (!/[\s>+~]/.test(char)) return;
+
+    let end = i;
+    while (end < selector.length && /[\s>+~]/.test(selector[end])) end++;
+    parts.push({ compound: selector.slice(start, i), combinator: selector.slice(i, end).trim() || ' ' });
+    start = end;
+    return end - 1;
+  });
+
+  parts.push({ compound: selector.slice(start), combinator: '' });
+  return parts.filter(part => part.compound !== '' || part.combinator !== '');
+}
+
+// Before a pseudo-element (`::before`, legacy `:after`), else at the end
+function addAttribute(compound, attribute) {
+  let at = compound.length;
+
+  scanTopLevel(compound, (char, i) => {
+    if (at !== compound.length || char !== ':') return;
+    if (compound[i + 1] === ':' || LEGACY_PSEUDO_ELEMENT.test(compound.slice(i))) at = i;
+  });
+
+  return compound.slice(0, at) + attribute + compound.slice(at);
+}
+
+/**
+ * `.card h2` → `.card h2[data-fml-s-x]`: the last compound that isn't
+ * wrapped in :global(…) must belong to this template
+ */
+function scopeSelector(selector, attribute) {
+  const parts = splitCompounds(selector.trim());
+  const isGlobal = compound => compound.startsWith(':global(');
+
+  let target = -1;
+  for (let i = parts.length - 1; i >= 0; i--) {
+    if (parts[i].compound && !isGlobal(parts[i].compound)) {
+      target = i;
+      break;
+    }
+  }
+
+  return parts.map(({ compound, combinator }, i) => {
+    const unwrapped = compound.replace(/:global\(([\s\S]*)\)/, '$1');
+    const scoped = i === target ? addAttribute(unwrapped, attribute) : unwrapped;
+    return scoped + (combinator === ' ' ? ' ' : combinator ? ` ${combinator} ` : '');
+  }).join('');
+}
+
+function scopeSelectorList(prelude, attribute) {
+  const selectors = [];
+  let start = 0;
+  scanTopLevel(prelude, (char, i) => {
+    if (char !== ',') return;
+    selectors.push(prelude.slice(start, i));
+    start = i + 1;
+  });
+  selectors.push(prelude.slice(start));
+
+  return selectors.map(selector => scopeSelector(selector, attribute)).join(', ');
+}
+
+// === RULES ===
+
+function scopeRules(css, attribute) {
+  const rules = [];
+  let i = 0;
+
+  while (i < css.length) {
+    let stop = -1;
+    scanTopLevel(css, (char, index) => {
+      if (char !== '{' && char !== ';') return;
+      stop = index;
+      return css.length;
+    }, i);
+
+    if (stop === -1) break;
+
+    const prelude = css.slice(i, stop).trim();
+
+    // Statement at-rules: @import …; @charset …;
+    if (css[stop] === ';') {
+      if (prelude) rules.push(`${prelude};`);
+      i = stop + 1;
+      continue;
+    }
+
+    const end = findBlockEnd(css, stop);
+    const body = css.slice(stop + 1, end).trim();
+    i = end + 1;
+
+    if (prelude.startsWith('@')) {
+      const name = (prelude.match(/^@([\w-]+)/)?.[1] || '').toLowerCase();
+      rules.push(GROUPING_AT_RULES.has(name)
+        ? `${prelude} {\n${scopeRules(body, attribute)}\n}`
+        : `${prelude} { ${body} }`);
+    } else if (prelude) {
+      rules.push(`${scopeSelectorList(prelude, attribute)} { ${body} }`);
+    }
+  }
+
+  return rules.join('\n');
+}
+
+/**
+ * Scope every rule of a stylesheet to elements carrying `attribute`
+ * @param {string} css
+ * @param {string} attribute - From getScopeAttribute()
+ * @returns {string}
+ */
+export function scopeCss(css, attribute) {
+  const source = String(css).replace(/\/\*[\s\S]*?\*\//g, '');
+  return scopeRules(source, `[${attribute}]`);
+}
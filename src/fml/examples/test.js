@@ -3,7 +3,7 @@
 
 import fs from 'fs';
 import path from 'path';
-import { processFML } from '../index.js';
+import { processFML, sanitizeHtml } from '../index.js';
 
 // Test components
 const testComponents = {
@@ -184,6 +184,37 @@ async function runTests() {
     console.log(`  📊 Average render time: ${avgTime.toFixed(2)}ms`);
     console.log(`  📊 Renders per second: ${Math.round(1000 / avgTime)}`);
     
+    console.log('\n🛡️  Test 5: Sanitizer URLs...');
+    
+    const sanitizerTests = [
+      {
+        name: 'Relative URLs kept',
+        html: '<img src="images/a.png" alt="x"><a href="docs/intro">d</a><a href="?q=1">q</a>',
+        expected: ['src="images&#x2F;a.png"', 'href="docs&#x2F;intro"', 'href="?q&#x3D;1"']
+      },
+      {
+        name: 'Script schemes dropped',
+        html: '<a href="javascript:alert(1)">a</a><a href="java\tscript:alert(1)">b</a><a href="data:text/html,x">c</a>',
+        expected: ['<a>a</a>', '<a>b</a>', '<a>c</a>']
+      },
+      {
+        name: 'Allowed schemes kept',
+        html: '<a href="https://example.com/">a</a><a href="mailto:team@example.com">b</a>',
+        expected: ['href="https:&#x2F;&#x2F;example.com&#x2F;"', 'href="mailto:team@example.com"']
+      }
+    ];
+    
+    for (const test of sanitizerTests) {
+      const output = sanitizeHtml(test.html);
+      const missing = test.expected.filter(part => !output.includes(part));
+      
+      if (missing.length === 0) {
+        console.log(`  ✅ ${test.name}: PASS`);
+      } else {
+        console.log(`  ❌ ${test.name}: FAIL - Expected "${missing[0]}" in ${output}`);
+      }
+    }
+    
     console.log('\n🎉 All Phase 1 tests completed!');
     console.log('\n📋 Phase 1 Feature Summary:');
     console.log('  ✅ Basic HTML element parsing');
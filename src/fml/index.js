@@ -1,7 +1,11 @@
 // src/fml/index.js
 
+import { registerFilter, unregisterPluginFilters } from './compiler/filters.js';
+import { LRUCache, clearTemplateCache } from './utils/helpers.js';
+
 // Core imports with circular dependency prevention
-let FMLParser, FMLCompiler, renderServer, renderClient, mountFML, hydrateFML, validateFML;
+let FMLParser, FMLCompiler, renderServer, renderServerChunks, renderClient, mountFML, hydrateFML, validateFML;
+let compileInclude, resetIncludes, getIncludeVersions, includesChanged, loadCompiledTemplate, readTemplateSource, hashContent;
 let fmlDebugger, fmlProfiler, healthMonitor, fmlStats;
 
 // Module initialization state
@@ -44,6 +48,7 @@ export class FMLPluginSystem {
       this.plugins.set(plugin.name, plugin);
       fmlDebugger?.info(`Plugin "${plugin.name}" registered successfully`);
     } catch (error) {
+      unregisterPluginFilters(plugin.name);
       throw new Error(`Failed to install plugin "${plugin.name}": ${error.message}`);
     }
 
@@ -59,6 +64,7 @@ export class FMLPluginSystem {
     }
 
     this.plugins.delete(pluginName);
+    unregisterPluginFilters(pluginName);
 
     for (const [hookName, callbacks] of this.hooks.entries()) {
       this.hooks.set(hookName, callbacks.filter(cb => cb.plugin !== pluginName));
@@ -124,6 +130,8 @@ export class FMLPluginSystem {
       name: plugin.name,
       version: plugin.version || '1.0.0',
       addHook: (hookName, callback) => this.addHook(hookName, callback, plugin.name),
+      // Server only: the browser runtime has the built-in filters (see registerFilter)
+      addFilter: (name, fn) => registerFilter(name, fn, plugin.name),
       use: (middleware) => this.use(middleware),
       getConfig: () => plugin.config || {},
       emit: (eventName, data) => this.emit(eventName, data),
@@ -477,10 +485,11 @@ export class FMLAnalytics {
   setupPeriodicReporting() {
     if (!this.enabled || this.reportInterval <= 0) return;
 
-    setInterval(() => {
+    const timer = setInterval(() => {
       const report = this.generateReport();
       this.emit('report', report);
     }, this.reportInterval);
+    timer.unref?.();
   }
 
   emit(event, data) {
@@ -527,24 +536,36 @@ async function initializeModules() {
       serverModule,
       clientModule,
       validatorModule,
-      helpersModule
+      helpersModule,
+      partialsModule,
+      aotModule
     ] = await Promise.all([
       import('./parser/parser.js'),
       import('./compiler/compiler.js'),
       import('./renderer/server.js'),
       import('./renderer/client.js'),
       import('./parser/validator.js'),
-      import('./utils/helpers.js')
+      import('./utils/helpers.js'),
+      import('./compiler/partials.js'),
+      import('./compiler/aot.js')
     ]);
 
     // Assign core modules
     FMLParser = parserModule.FMLParser;
     FMLCompiler = compilerModule.FMLCompiler;
     renderServer = serverModule.renderServer;
+    renderServerChunks = serverModule.renderServerChunks;
     renderClient = clientModule.renderClient;
     mountFML = clientModule.mountFML;
     hydrateFML = clientModule.hydrateFML;
     validateFML = validatorModule.validateFML;
+    compileInclude = partialsModule.compileInclude;
+    resetIncludes = partialsModule.resetIncludes;
+    getIncludeVersions = partialsModule.getIncludeVersions;
+    includesChanged = partialsModule.includesChanged;
+    loadCompiledTemplate = aotModule.loadCompiledTemplate;
+    readTemplateSource = aotModule.readTemplateSource;
+    hashContent = aotModule.hashContent;
 
     // Assign utilities
     fmlDebugger = helpersModule.fmlDebugger;
@@ -616,8 +637,69 @@ function handleError(error, context = {}) {
   return errorReport;
 }
 
+// === COMPILED TEMPLATE CACHE ===
+
+// Pages and .fml components get an LRU of their own, apart from the 50 entries
+// partials share. FML_TEMPLATE_CACHE_SIZE sets how many compiled trees it keeps.
+const compiledTemplates = new LRUCache(Number.parseInt(process.env.FML_TEMPLATE_CACHE_SIZE, 10) || 500, {
+  maxMemoryUsage: 100 * 1024 * 1024, // 100MB
+  cleanupInterval: 300000 // 5 minutes
+});
+
+// processFML's own counts; includes checks can turn an LRU hit into a miss
+const templateCacheStats = { hits: 0, misses: 0, invalidations: 0 };
+
+/**
+ * Compiled trees hold component functions and embedded partials, so besides the
+ * source the key covers the component set, and entries record their partials' versions.
+ * Hashes are sha256: a colliding key would serve another template's tree.
+ */
+function getTemplateCacheKey(fmlContent, { components, componentVersion, filePath, phase2, debug }) {
+  const componentNames = Object.keys(components).sort().join(',');
+  return `template:${hashContent(fmlContent)}:${hashContent(componentNames)}:${componentVersion ?? ''}:` +
+    `${phase2 ? 2 : 1}${debug ? 'd' : ''}:${filePath || ''}`;
+}
+
+function readCachedTemplate(key) {
+  const entry = compiledTemplates.get(key);
+  if (entry && !includesChanged(entry.includes)) {
+    templateCacheStats.hits++;
+    return entry.compiled;
+  }
+  templateCacheStats.misses++;
+  return null;
+}
+
+/**
+ * Drop every cached compiled tree (hot reload calls this on any template or component change)
+ */
+export function invalidateTemplateCache() {
+  compiledTemplates.clear();
+  clearTemplateCache();
+  templateCacheStats.invalidations++;
+}
+
+export function getTemplateCacheStats() {
+  const { hits, misses, invalidations } = templateCacheStats;
+  const { size, maxSize, evictions, memoryUsage } = compiledTemplates.getStats();
+  const lookups = hits + misses;
+  return {
+    hits,
+    misses,
+    hitRate: lookups > 0 ? ((hits / lookups) * 100).toFixed(2) + '%' : '0%',
+    invalidations,
+    entries: size,
+    maxEntries: maxSize,
+    evictions,
+    memoryUsage
+  };
+}
+
 /**
  * Main FML processing function — High-performance, optimized path
+ * mode 'stream' resolves to an AsyncIterable<string> of HTML chunks instead of a string.
+ * With a filePath, fmlContent may be null: the file is only read when no
+ * precompiled template (see compiler/aot.js) replaces it.
  */
 export async function processFML(fmlContent, options = {}) {
   await initializeModules();
@@ -628,7 +710,10 @@ export async function processFML(fmlContent, options = {}) {
     components = {},
     debug = false,
     phase2 = true,
-    validate = debug
+    validate = debug,
+    slots = {},
+    filePath = null, // Source file, so <Include> can resolve relative partials
+    componentVersion = null // Changes whenever a component in `components` does (cache key)
   } = options;
 
   const startTime = performance.now();
@@ -636,7 +721,7 @@ export async function processFML(fmlContent, options = {}) {
   let profileId;
 
   try {
-    if (typeof fmlContent !== 'string') {
+    if (typeof fmlContent !== 'string' && !(fmlContent == null && filePath)) {
       throw new TypeError('FML content must be a string');
     }
 
@@ -645,57 +730,89 @@ export async function processFML(fmlContent, options = {}) {
       fmlProfiler.mark(profileId, 'start');
     }
 
+    // A server started from a build renders its precompiled template: no parsing, validation or compiling
+    let compiled = filePath && (mode === 'server' || mode === 'stream')
+      ? await loadCompiledTemplate(filePath)
+      : null;
+    let ast = null;
+
+    if (!compiled && fmlContent == null) {
+      fmlContent = await readTemplateSource(filePath);
+    }
+
     // Execute pre-processing hooks
     const hookContext = { fmlContent, options, mode, props, components };
     await pluginSystem.executeHook('before:process', hookContext);
 
-    // Parse: FML → AST
-    const parser = new FMLParser({ debug, phase2 });
-    const ast = parser.parse(fmlContent);
-
-    if (debug) {
-      fmlProfiler.mark(profileId, 'parsed');
-      fmlDebugger.info(`✅ FML Parsed to AST (Phase ${phase2 ? '2' : '1'})`);
+    // Server renders reuse the compiled tree while source, components and partials are unchanged
+    const cacheKey = !compiled && (mode === 'server' || mode === 'stream')
+      ? getTemplateCacheKey(fmlContent, { components, componentVersion, filePath, phase2, debug })
+      : null;
+    if (cacheKey) {
+      compiled = readCachedTemplate(cacheKey);
+      if (compiled && debug) {
+        fmlDebugger.info('✅ FML compiled tree reused from cache');
+      }
     }
 
-    // Validate (optional)
-    if (validate) {
-      const validation = validateFML(ast, components, {
-        phase2,
-        debug,
-        accessibility: options.accessibility,
-        performance: options.performance,
-        security: options.security
-      });
+    if (!compiled) {
+      // Parse: FML → AST
+      const parser = new FMLParser({ debug, phase2 });
+      ast = parser.parse(fmlContent);
 
-      if (validation.errors.length > 0) {
-        const validationError = new Error(`FML Validation Failed: ${validation.errors[0].message}`);
-        validationError.validation = validation;
-        throw validationError;
+      if (debug) {
+        fmlProfiler.mark(profileId, 'parsed');
+        fmlDebugger.info(`✅ FML Parsed to AST (Phase ${phase2 ? '2' : '1'})`);
       }
 
-      if (validation.warnings.length > 0 && debug) {
-        fmlDebugger.warn('FML Validation Warnings:', validation.warnings);
+      // Validate (optional)
+      if (validate) {
+        const validation = validateFML(ast, components, {
+          phase2,
+          debug,
+          accessibility: options.accessibility,
+          performance: options.performance,
+          security: options.security
+        });
+
+        if (validation.errors.length > 0) {
+          const validationError = new Error(`FML Validation Failed: ${validation.errors[0].message}`);
+          validationError.code = 'VALIDATION_ERROR';
+          validationError.location = validation.errors[0].location?.start;
+          validationError.validation = validation;
+          throw validationError;
+        }
+
+        if (validation.warnings.length > 0 && debug) {
+          fmlDebugger.warn('FML Validation Warnings:', validation.warnings);
+        }
+
+        if (debug) {
+          fmlProfiler.mark(profileId, 'validated');
+        }
       }
 
-      if (debug) {
-        fmlProfiler.mark(profileId, 'validated');
-      }
-    }
+      // Compile: AST → Renderable Tree
+      if (filePath) resetIncludes(filePath);
+      const compiler = new FMLCompiler({ components, debug, phase2, filePath, resolveInclude: compileInclude });
+      compiled = compiler.compile(ast);
 
-    // Compile: AST → Renderable Tree
-    const compiler = new FMLCompiler({ components, debug, phase2 });
-    const compiled = compiler.compile(ast);
+      if (cacheKey) {
+        compiledTemplates.set(cacheKey, { compiled, includes: filePath ? getIncludeVersions(filePath) : [] });
+      }
 
-    if (debug) {
-      fmlProfiler.mark(profileId, 'compiled');
-      fmlDebugger.info(`✅ FML Compiled to renderable structure (Phase ${phase2 ? '2' : '1'})`);
+      if (debug) {
+        fmlProfiler.mark(profileId, 'compiled');
+        fmlDebugger.info(`✅ FML Compiled to renderable structure (Phase ${phase2 ? '2' : '1'})`);
+      }
     }
 
     // Render: Tree → Output
     let result;
     if (mode === 'server') {
-      result = renderServer(compiled, props, { debug, phase2 });
+      result = await renderServer(compiled, props, { debug, phase2, slots, components });
+    } else if (mode === 'stream') {
+      result = renderServerChunks(compiled, props, { debug, phase2, slots, components });
     } else if (mode === 'compile') {
       result = compiled;
     } else {
@@ -738,7 +855,12 @@ export async function processFML(fmlContent, options = {}) {
       fmlProfiler.end(profileId);
     }
 
-    throw new Error(`FML Processing Error: ${error.message}`);
+    // Keep the code and source location for error pages and the dev overlay
+    const processingError = new Error(`FML Processing Error: ${error.message}`, { cause: error });
+    for (const key of ['code', 'location', 'validation', 'filePath']) {
+      if (error[key] !== undefined) processingError[key] = error[key];
+    }
+    throw processingError;
   }
 }
 
@@ -980,6 +1102,7 @@ export function getFMLFeatures() {
       listRendering: true,
       switchCase: true,
       advancedExpressions: true,
+      filters: true,
       clientHydration: true,
       eventHandling: true,
       reactiveUpdates: true,
@@ -1326,6 +1449,7 @@ export {
   FMLParser,
   FMLCompiler,
   renderServer,
+  renderServerChunks,
   renderClient,
   mountFML,
   hydrateFML,
@@ -1340,6 +1464,36 @@ export {
   fmlStats
 } from './utils/helpers.js';
 
+export {
+  registerFilter,
+  unregisterFilter,
+  listFilters,
+  setFilterLocale
+} from './compiler/filters.js';
+
+export {
+  extractPropsSchema,
+  readPropsSchema,
+  applyPropDefaults
+} from './compiler/props.js';
+
+export {
+  sanitizeHtml,
+  configureSanitizer,
+  getSanitizerPolicy,
+  DEFAULT_SANITIZE_POLICY
+} from './utils/sanitize.js';
+
+// Signals carry no environment state, so they are safe to import eagerly
+export {
+  signal,
+  computed,
+  effect,
+  batch,
+  untrack,
+  nextTick
+} from './renderer/signals.js';
+
 /**
  * Default export with complete API — Immutable, Lazy-loaded
  */
@@ -49,6 +49,9 @@ const BUILTIN_DIRECTIVES = new Set([
   'If', 'Else', 'ElseIf', 'For', 'Switch', 'Case', 'Default', 'Slot'
 ]);
 
+// Elements whose content is read as-is: CSS braces are not expressions
+const RAW_TEXT_TAGS = new Set(['style']);
+
 const EVENT_PREFIX = /^on[A-Z]/;
 const EVENT_ATTRIBUTES = new Set([
   'onClick', 'onSubmit', 'onChange', 'onInput', 'onFocus', 'onBlur',
@@ -234,6 +237,8 @@ export class FMLLexer {
   }
 
   processTagState() {
+    // Tag tokens are reported where the tag starts, not where the lexer finished it
+    this.tagStart = { line: this.line, column: this.column, position: this.position };
     this.advance(); // Skip '<'
     
     const char = this.current();
@@ -348,6 +353,8 @@ export class FMLLexer {
   }
 
   processExpressionState() {
+    // Reported at the opening brace, so expression errors can point inside it
+    const start = { line: this.line, column: this.column, position: this.position };
     const result = this.readEnclosedExpression('{', '}');
     if (!result) return false;
     
@@ -362,7 +369,7 @@ export class FMLLexer {
       ? TokenType.EXPRESSION_COMPLEX 
       : TokenType.INTERPOLATION;
 
-    this.addToken(tokenType, content);
+    this.addToken(tokenType, content, start);
     this.setState(LexerState.TEXT);
     return true;
   }
@@ -529,11 +536,31 @@ export class FMLLexer {
       attributes: this.currentAttributes || [],
       isClosing: this.tagIsClosing,
       isSelfClosing
-    });
+    }, this.tagStart);
 
     this.setState(LexerState.TEXT);
     this.currentTagName = null;
     this.currentAttributes = null;
+
+    if (tokenType === TokenType.TAG_OPEN && RAW_TEXT_TAGS.has(tagName.toLowerCase())) {
+      this.readRawText(tagName);
+    }
+  }
+
+  /**
+   * Everything up to the closing tag becomes one TEXT token
+   */
+  readRawText(tagName) {
+    const close = this.input.toLowerCase().indexOf(`</${tagName.toLowerCase()}`, this.position);
+    const end = close === -1 ? this.length : close;
+
+    this.markTokenStart();
+    const text = this.input.slice(this.position, end);
+    this.advanceN(end - this.position);
+
+    if (text.trim()) {
+      this.addToken(TokenType.TEXT, text);
+    }
   }
 
   isComponent(tagName) {
@@ -737,14 +764,15 @@ export class FMLLexer {
 
   // === Token Management ===
   
-  addToken(type, value) {
+  addToken(type, value, start = null) {
+    const position = start ? start.position : this.startPosition;
     const token = {
       type,
       value,
-      line: this.line,
-      column: this.column,
-      position: this.startPosition,
-      length: this.position - this.startPosition
+      line: start ? start.line : this.line,
+      column: start ? start.column : this.column,
+      position,
+      length: this.position - position
     };
     
     this.tokens.push(token);
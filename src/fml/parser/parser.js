@@ -49,6 +49,9 @@ const RecoveryStrategy = {
  * Valid HTML5 tags (comprehensive list)
  */
 const VALID_HTML_TAGS = new Set([
+  // Document metadata (valid inside <Head>)
+  'title', 'base', 'link', 'meta', 'style',
+
   // Document & Sectioning
   'html', 'head', 'body', 'main', 'section', 'article', 'aside', 'nav', 'footer', 'header', 'hgroup',
   
@@ -90,8 +93,13 @@ const SELF_CLOSING_TAGS = new Set([
   'link', 'meta', 'param', 'source', 'track', 'wbr'
 ]);
 
+// Built-ins that may legitimately nest inside themselves (not a component cycle)
+const NESTABLE_COMPONENTS = new Set(['Suspense']);
+
+const RAW_HTML_PATTERN = /^\s*@html\s+([\s\S]+)$/;
+
 // Component circular reference tracking
-class ComponentGraph {
+export class ComponentGraph {
   constructor() {
     this.dependencies = new Map();
     this.visitStack = new Set();
@@ -354,6 +362,7 @@ export class FMLParser {
 
     this.nodeDepth++;
     let node = null;
+    const startToken = this.current;
 
     try {
       switch (this.current.type) {
@@ -388,6 +397,10 @@ export class FMLParser {
       if (node) {
         node.parent = parent;
         node.depth = this.nodeDepth;
+        // Nodes are created after their open tag is consumed; point at the tag itself
+        if (node.location) {
+          node.location.start = { line: startToken.line, column: startToken.column, position: startToken.position };
+        }
         this.addSourceMapping(node);
       }
 
@@ -465,7 +478,7 @@ export class FMLParser {
     const name = token.value.tagName;
 
     // Check for circular references
-    if (this.componentStack.some(comp => comp.name === name)) {
+    if (!NESTABLE_COMPONENTS.has(name) && this.componentStack.some(comp => comp.name === name)) {
       const cyclePath = this.componentGraph.getCyclePath(name);
       this.error(`Circular component reference detected: ${cyclePath ? cyclePath.join(' -> ') : name}`);
     }
@@ -855,9 +868,13 @@ export class FMLParser {
     const token = this.current;
     this.advance();
 
+    // {@html expr} renders the value as sanitized markup instead of escaped text
+    const rawHtml = token.value.match(RAW_HTML_PATTERN);
+
     return this.createNode(NodeType.INTERPOLATION, {
-      expression: token.value.trim(),
+      expression: rawHtml ? rawHtml[1].trim() : token.value.trim(),
       complex: token.type === TokenType.EXPRESSION_COMPLEX,
+      html: !!rawHtml,
       raw: token.value
     }, parent, this.nodeDepth);
   }
@@ -3,6 +3,13 @@
 
 import { NodeType } from './parser.js';
 import { fmlDebugger } from '../utils/helpers.js';
+import { parseExpression, locateExpressionError, findFilterNames } from '../compiler/expression.js';
+import { hasFilter, listFilters } from '../compiler/filters.js';
+
+// Built-in directives that may appear as component nodes (e.g. self-closing <Slot />)
+const DIRECTIVE_COMPONENTS = new Set([
+  'If', 'Else', 'ElseIf', 'For', 'Switch', 'Case', 'Default', 'Slot', 'Head', 'Suspense', 'Html', 'Include', 'Fragment', 'Props', 'Prop'
+]);
 
 /**
  * High-performance, extensible FML validator with deep static analysis,
@@ -253,6 +260,29 @@ export class FMLValidator {
           return { valid: true };
         }
       },
+      {
+        name: 'raw-html-output',
+        category: 'security',
+        severity: 'warning',
+        description: 'Reports every {@html} and <Html> site so trusted markup output can be audited',
+        validate: (node, context) => {
+          if (node.type === NodeType.INTERPOLATION && node.html) {
+            return {
+              valid: false,
+              message: `Raw HTML output: {@html ${node.expression}} is sanitized, but must only render trusted content`
+            };
+          }
+          if (node.type === NodeType.COMPONENT && node.name === 'Html') {
+            const value = (node.props || []).find(prop => prop.name === 'value');
+            const source = value ? (value.dynamic ? `{${value.value}}` : `"${value.value}"`) : '';
+            return {
+              valid: false,
+              message: `Raw HTML output: <Html value=${source} /> is sanitized, but must only render trusted content`
+            };
+          }
+          return { valid: true };
+        }
+      },
       {
         name: 'secure-external-links',
         category: 'security',
@@ -536,6 +566,16 @@ export class FMLValidator {
     }
   }
 
+  // =============================
+  // DOCUMENT
+  // =============================
+
+  validateDocument(node, context) {
+    if (!node.children || node.children.length === 0) {
+      this.addWarning('Document is empty', node);
+    }
+  }
+
   // =============================
   // PHASE 2 DIRECTIVES
   // =============================
@@ -553,14 +593,27 @@ export class FMLValidator {
     this.validateConditionalStructure(node, parent, context);
   }
 
+  validateConditionalStructure(node, parent, context) {
+    const chain = node.elseChain || [];
+    const elseCount = chain.filter(branch => branch.type === NodeType.ELSE).length;
+    if (elseCount > 1) {
+      this.addError('If directive can only have one Else branch', node);
+    }
+    const lastBranch = chain[chain.length - 1];
+    if (elseCount === 1 && lastBranch?.type !== NodeType.ELSE) {
+      this.addError('Else must be the last branch of an If directive', node);
+    }
+  }
+
   validateForDirective(node, parent, context) {
     if (!this.phase2) {
       this.addError('For directive is only available in Phase 2', node);
       return;
     }
-    const iterable = node.items || node.each;
-    const itemVar = node.itemVar || 'item';
-    const indexVar = node.indexVar || 'index';
+    // Phase 2 parser nodes name these iterable / itemName / indexName
+    const iterable = node.items || node.each || node.iterable;
+    const itemVar = node.itemVar || node.itemName || 'item';
+    const indexVar = node.indexVar || node.indexName || 'index';
 
     if (!iterable) {
       this.addError('For directive requires an items/each property', node);
@@ -632,6 +685,40 @@ export class FMLValidator {
   validateComponent(node, parent, context) {
     const { name, props } = node;
 
+    // Built-in directives are not registered components
+    if (DIRECTIVE_COMPONENTS.has(name)) {
+      if (!this.phase2) {
+        this.addError(`"${name}" is a reserved component name for Phase 2`, node);
+      }
+      if (name === 'Include') {
+        const src = (props || []).find(prop => prop.name === 'src');
+        if (!src || src.dynamic || !src.value) {
+          this.addError('Include directive requires a static src attribute, e.g. <Include src="partials/footer.fml" />', node);
+        }
+      }
+      if (name === 'Props' && parent?.type !== NodeType.DOCUMENT) {
+        this.addError('<Props> must be at the top level of a component template', node);
+      }
+      if (name === 'Prop' && parent?.name !== 'Props') {
+        this.addError('<Prop> is only allowed inside <Props>', node);
+      }
+      if (name === 'Suspense') {
+        const hasFallbackProp = (props || []).some(prop => prop.name === 'fallback');
+        const hasFallbackSlot = (node.children || []).some(child =>
+          child.name === 'Fragment' && (child.props || []).some(prop => prop.name === 'slot' && prop.value === 'fallback'));
+        if (hasFallbackProp && hasFallbackSlot) {
+          this.addError('Suspense takes either a fallback attribute or a <Fragment slot="fallback">, not both', node);
+        }
+      }
+      if (name === 'Fragment') {
+        const slot = (props || []).find(prop => prop.name === 'slot');
+        if (slot?.dynamic) {
+          this.addError('Fragment slot attribute must be static, e.g. <Fragment slot="header">', node);
+        }
+      }
+      return;
+    }
+
     // Component registration check
     if (!this.components[name]) {
       this.addError(`Component "${name}" is not registered`, node);
@@ -649,9 +736,10 @@ export class FMLValidator {
       return;
     }
 
-    // Prop type validation
-    if (props && this.propTypes[name]) {
-      this.validateComponentProps(node, this.propTypes[name]);
+    // Prop type validation: explicit propTypes option, else what the component declares
+    const propTypeSchema = this.propTypes[name] || this.components[name].propTypes;
+    if (props && propTypeSchema) {
+      this.validateComponentProps(node, propTypeSchema);
     }
 
     // Performance: Too many props?
@@ -662,14 +750,6 @@ export class FMLValidator {
       );
     }
 
-    // Reserved names
-    const reservedNames = ['If', 'Else', 'ElseIf', 'For', 'Switch', 'Case', 'Default', 'Slot'];
-    if (reservedNames.includes(name)) {
-      if (!this.phase2) {
-        this.addError(`"${name}" is a reserved component name for Phase 2`, node);
-      }
-    }
-
     // Conflict with HTML tags
     const htmlTags = ['div', 'span', 'p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'a', 'img', 'button'];
     if (htmlTags.some(tag => tag.toLowerCase() === name.toLowerCase())) {
@@ -764,6 +844,30 @@ export class FMLValidator {
       }
     }
 
+    // Syntax: the compiler would reject it
+    let compiled;
+    try {
+      compiled = parseExpression(expr);
+    } catch (error) {
+      if (error.code !== 'EXPRESSION_ERROR') throw error;
+      const location = node?.location && {
+        ...node.location,
+        start: locateExpressionError(error, node.location.start, node.type === NodeType.INTERPOLATION ? node.raw : null)
+      };
+      this.addError(`Invalid expression in ${context}: ${error.message}`, node, { location });
+      return false;
+    }
+
+    // Unknown filters fail at runtime instead of rendering the raw value
+    const unknownFilters = [...findFilterNames(compiled)].filter(name => !hasFilter(name));
+    if (unknownFilters.length > 0) {
+      const available = listFilters().map(filter => filter.name).join(', ');
+      for (const name of unknownFilters) {
+        this.addError(`Unknown filter "${name}" in ${context}. Available: ${available}`, node);
+      }
+      return false;
+    }
+
     // Performance: overly complex expressions
     if (expr.length > this.performanceThresholds.maxExpressionLength) {
       this.addWarning(`Complex expression in ${context} may impact performance`, node);
@@ -1169,7 +1273,7 @@ export class FMLValidator {
     this.errors.push({
       type: 'error',
       message,
-      location: node?.location,
+      location: metadata.location || node?.location,
       node: this.debug ? node : undefined,
       metadata,
       timestamp: Date.now()
@@ -2,6 +2,9 @@
 
 import { escapeHtml, escapeAttribute } from '../utils/escape.js';
 import { SELF_CLOSING_TAGS, resolveExpression } from '../compiler/compiler.js';
+import { sanitizeHtml } from '../utils/sanitize.js';
+import { isDevelopment } from '../utils/helpers.js';
+import { Observer, signal, schedule } from './signals.js';
 
 /**
  * Render compiled FML tree to DOM nodes
@@ -32,6 +35,10 @@ class VNode {
     return new VNode('text', { content }, []);
   }
 
+  static html(html) {
+    return new VNode('html', { html }, []);
+  }
+
   static element(tagName, props, children) {
     return new VNode('element', { tagName, ...props }, children);
   }
@@ -41,6 +48,13 @@ class VNode {
   }
 }
 
+// Nodes for already-sanitized markup; <template> parsing runs no scripts and loads nothing
+function parseHtmlNodes(html) {
+  const template = document.createElement('template');
+  template.innerHTML = html;
+  return Array.from(template.content.childNodes);
+}
+
 /**
  * Enhanced Client Renderer with Virtual DOM and Lifecycle Management
  */
@@ -48,12 +62,16 @@ class ClientRenderer {
   constructor(props = {}, options = {}) {
     this.props = props;
     this.debug = !!options.debug;
+    this.dev = this.debug || isDevelopment();
     this.phase2 = options.phase2 !== false;
+    // HTML projected into <Slot /> outlets, as the server renderer takes it
+    this.slots = options.slots || {};
     this.target = typeof options.target === 'string'
       ? document.querySelector(options.target)
       : options.target || null;
 
     // Virtual DOM state
+    this.compiled = null;
     this.vdom = null;
     this.prevVdom = null;
     this.domNodes = new WeakMap(); // VNode -> DOM mapping
@@ -64,6 +82,7 @@ class ClientRenderer {
     this.reactiveElements = new WeakMap();
     this.contextStack = [];
     this.componentStack = [];
+    this.warnedLoops = new WeakSet(); // <For> nodes already warned about, one warning each
 
     // Event delegation system
     this.eventDelegator = new EventDelegator(this);
@@ -76,6 +95,7 @@ class ClientRenderer {
     // Performance monitoring
     this.renderStats = {
       totalRenders: 0,
+      componentUpdates: 0,
       diffTime: 0,
       patchTime: 0,
       lastRenderTime: 0
@@ -105,6 +125,7 @@ class ClientRenderer {
     if (!node || this.isDestroyed) return null;
 
     const startTime = performance.now();
+    this.compiled = node;
     
     try {
       // Convert AST to Virtual DOM
@@ -157,23 +178,39 @@ class ClientRenderer {
       case 'element':
         return VNode.element(
           node.tagName,
-          node.attributes || {},
+          this.resolveAttributes(node.attributes),
           (node.children || []).map(child => this.astToVNode(child)).filter(Boolean)
         );
       
-      case 'component':
+      case 'component': {
+        const slots = {};
+        for (const [name, children] of Object.entries(node.slots || {})) {
+          slots[name] = children.map(child => this.astToVNode(child)).filter(Boolean);
+        }
         return VNode.component(
           node.name,
-          { component: node.component, props: node.props },
+          { component: node.component, props: node.props, slots },
           (node.children || []).map(child => this.astToVNode(child)).filter(Boolean)
         );
+      }
       
       case 'text':
         return VNode.text(node.content);
       
-      case 'interpolation':
-        const value = resolveExpression(node.compiled, this.getCurrentContext());
-        return VNode.text(String(value ?? ''));
+      case 'interpolation': {
+        try {
+          const value = resolveExpression(node.compiled, this.getCurrentContext());
+          if (node.html) {
+            const policy = node.policy ? resolveExpression(node.policy, this.getCurrentContext()) : null;
+            return VNode.html(sanitizeHtml(String(value ?? ''), policy));
+          }
+          return VNode.text(String(value ?? ''));
+        } catch (error) {
+          // e.g. UNKNOWN_FILTER: a plugin filter the browser runtime doesn't have
+          this.logError('Interpolation error:', error);
+          return VNode.text('');
+        }
+      }
 
       // Phase 2: Control Flow
       case 'if':
@@ -184,6 +221,11 @@ class ClientRenderer {
         return this.phase2 ? this.astToVNodeSwitch(node) : null;
       case 'slot':
         return this.phase2 ? this.astToVNodeSlot(node) : null;
+      case 'include':
+        return this.phase2 ? this.astToVNodeInclude(node) : null;
+      case 'style':
+        this.mountStyle(node);
+        return null;
 
       default:
         if (this.debug) {
@@ -193,14 +235,67 @@ class ClientRenderer {
     }
   }
 
+  /**
+   * Evaluate dynamic attributes while the loop/component context is current,
+   * so the VNode carries values the diff can compare
+   */
+  resolveAttributes(attributes = {}) {
+    const resolved = {};
+    for (const [name, attr] of Object.entries(attributes)) {
+      if (attr && attr.type === 'dynamic') {
+        let value;
+        try {
+          value = resolveExpression(attr.compiled, this.getCurrentContext());
+        } catch (error) {
+          this.logError(`Attribute error for "${name}":`, error);
+        }
+        resolved[name] = { ...attr, value };
+      } else {
+        resolved[name] = attr;
+      }
+    }
+    return resolved;
+  }
+
+  /**
+   * Add a scoped stylesheet to the document head unless the server (or an
+   * earlier render) already put it there
+   */
+  mountStyle(node) {
+    if (typeof document === 'undefined' || !document.head) return;
+    if (document.head.querySelector(`style[data-fml-style="${node.id}"]`)) return;
+
+    const style = document.createElement('style');
+    style.setAttribute('data-fml-style', node.id);
+    style.textContent = node.css;
+    document.head.appendChild(style);
+  }
+
+  /**
+   * Convert an included partial (compiled on the server) to VNode
+   */
+  astToVNodeInclude(node) {
+    const locals = node.with ? resolveExpression(node.with, this.getCurrentContext()) : null;
+
+    this.pushContext(locals && typeof locals === 'object' ? locals : {});
+    try {
+      return new VNode('fragment', { include: node.src }, [this.astToVNode(node.template)].filter(Boolean));
+    } finally {
+      this.popContext();
+    }
+  }
+
   /**
    * Convert If directive to VNode
    */
   astToVNodeIf(node) {
     try {
-      const condition = resolveExpression(node.condition, this.getCurrentContext());
-      if (condition) {
-        const children = (node.children || []).map(child => this.astToVNode(child)).filter(Boolean);
+      const context = this.getCurrentContext();
+      const branch = resolveExpression(node.condition, context)
+        ? node
+        : (node.branches || []).find(b => b.type === 'else' || resolveExpression(b.condition, context));
+      if (branch) {
+        const children = (branch.children || []).map(child => this.astToVNode(child)).filter(Boolean);
         return new VNode('conditional', { condition: true }, children);
       }
       return new VNode('conditional', { condition: false }, []);
@@ -222,6 +317,8 @@ class ClientRenderer {
       if (!iterable) return new VNode('loop', {}, []);
 
       const items = Array.isArray(iterable) ? iterable : Object.values(iterable);
+      const body = node.body || node.children || [];
+      const bodyNodes = Array.isArray(body) ? body : [body];
       const children = [];
 
       for (let i = 0; i < items.length; i++) {
@@ -233,26 +330,60 @@ class ClientRenderer {
 
         this.pushContext(loopContext);
         try {
-          const itemChildren = (node.body || node.children || [])
+          const itemChildren = bodyNodes
             .map(child => this.astToVNode(child))
             .filter(Boolean);
           
-          // Create wrapper with key for efficient diffing
           const wrapper = new VNode('loop-item', { index: i }, itemChildren);
-          wrapper.key = `${itemVar}-${i}`;
+          wrapper.key = node.key ? resolveExpression(node.key, this.getCurrentContext()) : null;
           children.push(wrapper);
         } finally {
           this.popContext();
         }
       }
 
-      return new VNode('loop', { itemVar, indexVar }, children);
+      const keyed = this.checkLoopKeys(node, itemVar, children);
+      return new VNode('loop', { itemVar, indexVar, keyed }, children);
     } catch (error) {
       this.logError('For directive error:', error);
       return new VNode('loop', {}, []);
     }
   }
 
+  /**
+   * Keyed diffing needs one unique, non-null key per item. Anything less
+   * falls back to diffing by index, with a dev warning saying why.
+   */
+  checkLoopKeys(node, itemVar, items) {
+    if (!node.key) {
+      if (items.length > 1) {
+        this.warnLoop(node, `<For as="${itemVar}"> has no key; add key={...} so items keep their DOM (focus, input state) when the list changes`);
+      }
+      return false;
+    }
+
+    const seen = new Set();
+    for (const item of items) {
+      if (item.key == null) {
+        this.warnLoop(node, `<For as="${itemVar}">: item ${item.props.index} has a missing key (${item.key}); diffing this list by index`);
+        return false;
+      }
+      if (seen.has(item.key)) {
+        this.warnLoop(node, `<For as="${itemVar}">: duplicate key "${String(item.key)}"; diffing this list by index`);
+        return false;
+      }
+      seen.add(item.key);
+    }
+
+    return true;
+  }
+
+  warnLoop(node, message) {
+    if (!this.dev || this.warnedLoops.has(node)) return;
+    this.warnedLoops.add(node);
+    this.logWarn(message);
+  }
+
   /**
    * Convert Switch directive to VNode
    */
@@ -287,8 +418,14 @@ class ClientRenderer {
    * Convert Slot directive to VNode
    */
   astToVNodeSlot(node) {
-    const children = (node.children || []).map(child => this.astToVNode(child)).filter(Boolean);
-    return new VNode('slot', { name: node.name || 'default' }, children);
+    const name = node.name || 'default';
+    const content = this.slots[name];
+    if (content != null && String(content).trim() !== '') {
+      return new VNode('slot', { name }, [VNode.html(String(content))]);
+    }
+
+    const children = (node.fallback || node.children || []).map(child => this.astToVNode(child)).filter(Boolean);
+    return new VNode('slot', { name }, children);
   }
 
   /**
@@ -312,6 +449,10 @@ class ClientRenderer {
         domNode = this.renderComponent(vnode);
         break;
 
+      case 'html':
+        domNode = this.renderHtml(vnode);
+        break;
+
       case 'fragment':
       case 'conditional':
       case 'loop':
@@ -362,7 +503,7 @@ class ClientRenderer {
    * Render component VNode with lifecycle
    */
   renderComponent(vnode) {
-    const { name, component, props: rawProps } = vnode.props;
+    const { name, component } = vnode.props;
     
     if (!component || typeof component !== 'function') {
       this.logError(`Component "${name}" is not a valid function`);
@@ -377,29 +518,7 @@ class ClientRenderer {
     this.componentStack.push(name);
 
     try {
-      // Create component instance
-      const instance = {
-        name,
-        props: this.evaluateProps(rawProps),
-        state: {},
-        mounted: false,
-        vnode,
-        hooks: {
-          beforeMount: [],
-          mounted: [],
-          beforeUpdate: [],
-          updated: [],
-          beforeUnmount: [],
-          unmounted: []
-        }
-      };
-
-      // Add children as props
-      if (vnode.children && vnode.children.length > 0) {
-        instance.props.children = vnode.children
-          .map(child => this.renderVNodeToString(child))
-          .join('');
-      }
+      const instance = this.createComponentInstance(name, vnode);
 
       // Store instance
       this.componentInstances.set(vnode, instance);
@@ -407,23 +526,7 @@ class ClientRenderer {
       // Execute beforeMount hooks
       this.executeHooks(instance, 'beforeMount');
 
-      // Render component
-      const result = component(instance.props);
-      let domNode;
-
-      if (typeof result === 'string') {
-        const temp = document.createElement('div');
-        temp.innerHTML = result.trim();
-        
-        // Hydrate events
-        this.hydrateElement(temp);
-        
-        domNode = temp.children.length === 1 ? temp.firstElementChild : temp;
-      } else if (result && result.nodeType) {
-        domNode = result;
-      } else {
-        domNode = this.createErrorNode(`Invalid component return: ${name}`);
-      }
+      const domNode = this.renderComponentOutput(instance);
 
       // Schedule mounted hook
       this.lifecycleQueue.push(() => {
@@ -442,6 +545,144 @@ class ClientRenderer {
     }
   }
 
+  /**
+   * Component instance: props, local state and hooks. Components receive it as
+   * their second argument; setState() or a change to any signal read while
+   * rendering queues a batched re-render of this component alone.
+   */
+  createComponentInstance(name, vnode) {
+    const instance = {
+      name,
+      props: this.evaluateComponentProps(vnode),
+      state: {},
+      mounted: false,
+      vnode,
+      signals: new Map(),
+      hooks: {
+        beforeMount: [],
+        mounted: [],
+        beforeUpdate: [],
+        updated: [],
+        beforeUnmount: [],
+        unmounted: []
+      },
+
+      /**
+       * Merge into state and schedule a re-render: setState({ open: true }) or setState(s => ({ n: s.n + 1 }))
+       */
+      setState: (partial) => {
+        const next = typeof partial === 'function' ? partial(instance.state) : partial;
+        if (!next) return;
+        instance.state = { ...instance.state, ...next };
+        schedule(instance.observer);
+      },
+
+      /**
+       * Component-local signal, created on first render and returned as-is afterwards
+       */
+      signal: (key, initialValue, options) => {
+        if (!instance.signals.has(key)) {
+          instance.signals.set(key, signal(initialValue, options));
+        }
+        return instance.signals.get(key);
+      },
+
+      forceUpdate: () => schedule(instance.observer)
+    };
+
+    instance.observer = new Observer(observer => schedule(observer));
+    instance.observer.run = () => this.updateComponent(instance);
+
+    return instance;
+  }
+
+  evaluateComponentProps(vnode) {
+    const props = this.evaluateProps(vnode.props.props);
+
+    // Add children as props
+    if (vnode.children && vnode.children.length > 0) {
+      props.children = vnode.children
+        .map(child => this.renderVNodeToString(child))
+        .join('');
+    }
+
+    // Named slots, rendered to HTML like children
+    const slotNames = Object.keys(vnode.props.slots || {});
+    if (slotNames.length > 0) {
+      props.slots = {};
+      for (const name of slotNames) {
+        props.slots[name] = vnode.props.slots[name]
+          .map(child => this.renderVNodeToString(child))
+          .join('');
+      }
+    }
+
+    return props;
+  }
+
+  /**
+   * Call the component and turn its output into DOM. Signals it reads are
+   * tracked as the instance's dependencies, replacing the previous set.
+   */
+  renderComponentOutput(instance) {
+    const { component } = instance.vnode.props;
+    const result = instance.observer.track(() => component(instance.props, instance));
+
+    if (typeof result === 'string') {
+      const temp = document.createElement('div');
+      temp.innerHTML = result.trim();
+      
+      // Hydrate events
+      this.hydrateElement(temp);
+      
+      return temp.children.length === 1 ? temp.firstElementChild : temp;
+    }
+
+    if (result && result.nodeType) {
+      return result;
+    }
+
+    return this.createErrorNode(`Invalid component return: ${instance.name}`);
+  }
+
+  /**
+   * Re-render one component in place, with beforeUpdate / updated around the
+   * patch. Nothing outside the component's DOM node is touched.
+   */
+  updateComponent(instance) {
+    if (!instance.mounted || this.isDestroyed) return;
+
+    const oldDOM = this.domNodes.get(instance.vnode);
+    if (!oldDOM || !oldDOM.parentNode) return;
+
+    const startTime = performance.now();
+    this.executeHooks(instance, 'beforeUpdate');
+
+    let newDOM;
+    try {
+      newDOM = this.renderComponentOutput(instance);
+    } catch (error) {
+      this.logError(`Component update failed: ${instance.name}`, error);
+      newDOM = this.createErrorNode(`Render failed: ${instance.name}`);
+    }
+
+    // A component may patch and return its own node
+    if (newDOM !== oldDOM) {
+      this.eventDelegator.cleanupNode(oldDOM);
+      oldDOM.parentNode.replaceChild(newDOM, oldDOM);
+
+      this.nodeVNodes.delete(oldDOM);
+      this.domNodes.set(instance.vnode, newDOM);
+      this.nodeVNodes.set(newDOM, instance.vnode);
+      instance.vnode.ref = newDOM;
+    }
+
+    this.renderStats.componentUpdates++;
+    this.renderStats.patchTime += performance.now() - startTime;
+
+    this.executeHooks(instance, 'updated');
+  }
+
   /**
    * Render container (fragment, conditional, loop, etc.)
    */
@@ -450,8 +691,8 @@ class ClientRenderer {
     
     // Add container marker for debugging
     if (this.debug) {
-      const comment = document.createComment(`FML-${vnode.type}`);
-      fragment.appendChild(comment);
+      vnode.marker = document.createComment(`FML-${vnode.type}`);
+      fragment.appendChild(vnode.marker);
     }
 
     vnode.children.forEach(child => {
@@ -461,9 +702,58 @@ class ClientRenderer {
       }
     });
 
+    // A list keeps its place in the DOM through an end anchor, even while empty
+    if (vnode.type === 'loop') {
+      vnode.anchor = document.createComment('/fml-for');
+      fragment.appendChild(vnode.anchor);
+    }
+
+    return fragment;
+  }
+
+  /**
+   * Sanitized markup between two comments, so updates know which nodes are its own
+   */
+  renderHtml(vnode) {
+    const fragment = document.createDocumentFragment();
+    vnode.marker = document.createComment('fml-html');
+    vnode.anchor = document.createComment('/fml-html');
+
+    vnode.nodes = parseHtmlNodes(vnode.props.html);
+
+    fragment.append(vnode.marker, ...vnode.nodes, vnode.anchor);
     return fragment;
   }
 
+  /**
+   * Top-level DOM nodes a VNode occupies, in document order. Containers render
+   * into fragments, so theirs are their children's nodes plus any markers.
+   */
+  getDOMRange(vnode, nodes = []) {
+    if (!vnode) return nodes;
+
+    const domNode = this.domNodes.get(vnode);
+    if (domNode && domNode.nodeType !== Node.DOCUMENT_FRAGMENT_NODE) {
+      nodes.push(domNode);
+      return nodes;
+    }
+
+    if (vnode.marker) nodes.push(vnode.marker);
+    if (vnode.nodes) nodes.push(...vnode.nodes);
+    vnode.children.forEach(child => this.getDOMRange(child, nodes));
+    if (vnode.anchor) nodes.push(vnode.anchor);
+    return nodes;
+  }
+
+  /**
+   * Unmount a VNode and take all of its DOM nodes out of the document
+   */
+  removeVNode(vnode) {
+    const nodes = this.getDOMRange(vnode);
+    this.unmountNode(vnode);
+    nodes.forEach(node => node.parentNode?.removeChild(node));
+  }
+
   /**
    * Virtual DOM Diffing Algorithm
    */
@@ -471,7 +761,8 @@ class ClientRenderer {
     const startTime = performance.now();
 
     try {
-      this.diffNode(oldVNode, newVNode, parentDOM, 0);
+      this.diffNode(oldVNode, newVNode, parentDOM, null);
+      this.executeLifecycleQueue();
       
       const diffTime = performance.now() - startTime;
       this.renderStats.diffTime += diffTime;
@@ -485,52 +776,40 @@ class ClientRenderer {
   }
 
   /**
-   * Diff individual nodes
+   * Diff individual nodes. New DOM goes in before `ref` (null appends).
    */
-  diffNode(oldVNode, newVNode, parentDOM, index) {
-    const oldDOM = oldVNode ? this.domNodes.get(oldVNode) : null;
-
+  diffNode(oldVNode, newVNode, parentDOM, ref) {
     // Node removed
     if (!newVNode) {
-      if (oldDOM && parentDOM.contains(oldDOM)) {
-        this.unmountNode(oldVNode);
-        parentDOM.removeChild(oldDOM);
-      }
+      if (oldVNode) this.removeVNode(oldVNode);
       return;
     }
 
     // Node added
     if (!oldVNode) {
       const newDOM = this.renderVNode(newVNode);
-      if (newDOM) {
-        if (index < parentDOM.childNodes.length) {
-          parentDOM.insertBefore(newDOM, parentDOM.childNodes[index]);
-        } else {
-          parentDOM.appendChild(newDOM);
-        }
-      }
+      if (newDOM) parentDOM.insertBefore(newDOM, ref);
       return;
     }
 
     // Node type changed - replace
     if (oldVNode.type !== newVNode.type || 
         (oldVNode.type === 'element' && oldVNode.props.tagName !== newVNode.props.tagName)) {
+      const [first] = this.getDOMRange(oldVNode);
       const newDOM = this.renderVNode(newVNode);
-      if (newDOM && oldDOM) {
-        this.unmountNode(oldVNode);
-        parentDOM.replaceChild(newDOM, oldDOM);
-      }
+      if (newDOM) parentDOM.insertBefore(newDOM, first || ref);
+      this.removeVNode(oldVNode);
       return;
     }
 
     // Same node type - update
-    this.updateNode(oldVNode, newVNode, oldDOM);
+    this.updateNode(oldVNode, newVNode, this.domNodes.get(oldVNode), parentDOM, ref);
   }
 
   /**
    * Update existing node
    */
-  updateNode(oldVNode, newVNode, domNode) {
+  updateNode(oldVNode, newVNode, domNode, parentDOM = null, ref = null) {
     if (!domNode) return;
 
     // Update DOM mapping
@@ -553,12 +832,31 @@ class ClientRenderer {
         this.updateComponentNode(oldVNode, newVNode, domNode);
         break;
 
+      case 'html':
+        this.updateHtmlNode(oldVNode, newVNode);
+        break;
+
       default:
-        this.updateContainerNode(oldVNode, newVNode, domNode);
+        this.updateContainerNode(oldVNode, newVNode, parentDOM, ref);
         break;
     }
   }
 
+  /**
+   * Replace raw markup between its comments when the sanitized HTML changed
+   */
+  updateHtmlNode(oldVNode, newVNode) {
+    newVNode.marker = oldVNode.marker;
+    newVNode.anchor = oldVNode.anchor;
+    newVNode.nodes = oldVNode.nodes;
+
+    if (oldVNode.props.html === newVNode.props.html || !newVNode.anchor.parentNode) return;
+
+    oldVNode.nodes.forEach(node => node.parentNode?.removeChild(node));
+    newVNode.nodes = parseHtmlNodes(newVNode.props.html);
+    newVNode.anchor.before(...newVNode.nodes);
+  }
+
   /**
    * Update element node
    */
@@ -582,56 +880,40 @@ class ClientRenderer {
     this.componentInstances.set(newVNode, instance);
     instance.vnode = newVNode;
 
-    // Execute beforeUpdate hooks
-    this.executeHooks(instance, 'beforeUpdate');
-
-    // Check if props changed
-    const oldProps = instance.props;
-    const newProps = this.evaluateProps(newVNode.props.props);
+    // Only a prop change re-renders; local state changes schedule their own updates
+    const newProps = this.evaluateComponentProps(newVNode);
     
-    if (this.propsChanged(oldProps, newProps)) {
+    if (this.propsChanged(instance.props, newProps)) {
       instance.props = newProps;
-      
-      // Re-render component
-      const result = newVNode.props.component(newProps);
-      
-      if (typeof result === 'string' && domNode.parentNode) {
-        const temp = document.createElement('div');
-        temp.innerHTML = result.trim();
-        this.hydrateElement(temp);
-        
-        const newDOM = temp.children.length === 1 ? temp.firstElementChild : temp;
-        domNode.parentNode.replaceChild(newDOM, domNode);
-        
-        // Update mappings
-        this.domNodes.set(newVNode, newDOM);
-        this.nodeVNodes.set(newDOM, newVNode);
-        newVNode.ref = newDOM;
-      }
+      this.updateComponent(instance);
     }
-
-    // Execute updated hooks
-    this.executeHooks(instance, 'updated');
   }
 
   /**
-   * Update container node (fragment, etc.)
+   * Update container node (fragment, loop, etc.). Its children live directly
+   * in the parent element, between its marker and its anchor.
    */
-  updateContainerNode(oldVNode, newVNode, container) {
-    // For document fragments, we need to find the actual parent
-    const parentDOM = container.nodeType === Node.DOCUMENT_FRAGMENT_NODE 
-      ? container.parentNode || this.target 
-      : container;
-    
-    if (parentDOM) {
-      this.diffChildren(oldVNode.children, newVNode.children, parentDOM);
+  updateContainerNode(oldVNode, newVNode, parentDOM, ref) {
+    newVNode.marker = oldVNode.marker;
+    newVNode.anchor = oldVNode.anchor;
+
+    const range = this.getDOMRange(oldVNode);
+    const parent = range[0]?.parentNode || parentDOM || this.target;
+    const end = oldVNode.anchor || (range.length > 0 ? range[range.length - 1].nextSibling : ref);
+
+    if (!parent) return;
+
+    if (newVNode.type === 'loop' && oldVNode.props.keyed && newVNode.props.keyed) {
+      this.diffKeyedChildren(oldVNode.children, newVNode.children, parent, end);
+    } else {
+      this.diffChildren(oldVNode.children, newVNode.children, parent, end);
     }
   }
 
   /**
-   * Diff children arrays
+   * Diff children arrays by position
    */
-  diffChildren(oldChildren, newChildren, parentDOM) {
+  diffChildren(oldChildren, newChildren, parentDOM, end = null) {
     const oldLen = oldChildren.length;
     const newLen = newChildren.length;
     const maxLen = Math.max(oldLen, newLen);
@@ -640,7 +922,55 @@ class ClientRenderer {
       const oldChild = i < oldLen ? oldChildren[i] : null;
       const newChild = i < newLen ? newChildren[i] : null;
       
-      this.diffNode(oldChild, newChild, parentDOM, i);
+      this.diffNode(oldChild, newChild, parentDOM, end);
+    }
+  }
+
+  /**
+   * Diff keyed list items: patch items whose key survived, drop the rest,
+   * then move as few items as possible. Items on the longest run that kept
+   * its relative order stay put; only the others are moved or inserted.
+   */
+  diffKeyedChildren(oldChildren, newChildren, parentDOM, end = null) {
+    const oldIndexByKey = new Map(oldChildren.map((child, i) => [child.key, i]));
+    const sources = new Array(newChildren.length).fill(-1); // new index → old index
+    const reused = new Set(); // old indices
+    const patched = new Set(); // new indices
+
+    newChildren.forEach((child, i) => {
+      const oldIndex = oldIndexByKey.get(child.key);
+      if (oldIndex === undefined) return;
+
+      const oldChild = oldChildren[oldIndex];
+      // An item that rendered nothing has no position to keep, so it always moves
+      const placed = this.getDOMRange(oldChild).length > 0;
+
+      this.updateNode(oldChild, child, this.domNodes.get(oldChild), parentDOM, end);
+      reused.add(oldIndex);
+      patched.add(i);
+      if (placed) sources[i] = oldIndex;
+    });
+
+    oldChildren.forEach((child, i) => {
+      if (!reused.has(i)) this.removeVNode(child);
+    });
+
+    const stable = new Set(longestIncreasingSubsequence(sources));
+    let ref = end;
+
+    // Walk backwards so every item has its final next sibling to insert before
+    for (let i = newChildren.length - 1; i >= 0; i--) {
+      const child = newChildren[i];
+
+      if (!patched.has(i)) {
+        const newDOM = this.renderVNode(child);
+        if (newDOM) parentDOM.insertBefore(newDOM, ref);
+      } else if (!stable.has(i)) {
+        this.getDOMRange(child).forEach(node => parentDOM.insertBefore(node, ref));
+      }
+
+      const [first] = this.getDOMRange(child);
+      if (first) ref = first;
     }
   }
 
@@ -664,8 +994,16 @@ class ClientRenderer {
 
     // Set new/updated attributes
     for (const name in newAttrs) {
-      if (oldAttrs[name] !== newAttrs[name]) {
-        this.setAttributeValue(element, name, newAttrs[name]);
+      const oldAttr = oldAttrs[name];
+      const newAttr = newAttrs[name];
+      if (!newAttr || newAttr.type === 'event') continue;
+
+      if (oldAttr && oldAttr.type === newAttr.type && Object.is(oldAttr.value, newAttr.value)) continue;
+
+      if (newAttr.value == null || newAttr.value === false) {
+        this.removeAttribute(element, name);
+      } else {
+        this.setAttributeValue(element, name, newAttr.value);
       }
     }
   }
@@ -681,7 +1019,7 @@ class ClientRenderer {
         if (attr.type === 'static') {
           this.setAttributeValue(element, name, attr.value);
         } else if (attr.type === 'dynamic') {
-          const value = resolveExpression(attr.compiled, this.getCurrentContext());
+          const value = 'value' in attr ? attr.value : resolveExpression(attr.compiled, this.getCurrentContext());
           if (value !== null && value !== undefined && value !== false) {
             this.setAttributeValue(element, name, value);
 
@@ -834,6 +1172,8 @@ class ClientRenderer {
       const instance = this.componentInstances.get(vnode);
       if (instance) {
         this.executeHooks(instance, 'beforeUnmount');
+        instance.mounted = false;
+        instance.observer.dispose();
         this.mountedComponents.delete(instance);
         this.componentInstances.delete(vnode);
         this.executeHooks(instance, 'unmounted');
@@ -896,46 +1236,10 @@ class ClientRenderer {
   updateProps(newProps) {
     if (this.isDestroyed) return;
 
-    const oldProps = { ...this.props };
     Object.assign(this.props, newProps);
 
-    // Check if any reactive elements need updates
-    for (const [node, config] of this.reactiveElements.entries()) {
-      try {
-        if (config.type === 'interpolation') {
-          const value = resolveExpression(config.compiled, this.getCurrentContext());
-          if (node.textContent !== String(value ?? '')) {
-            node.textContent = String(value ?? '');
-          }
-        }
-        
-        // Handle dynamic attributes
-        for (const [key, compiled] of Object.entries(config)) {
-          if (key.startsWith('attr:')) {
-            const attrName = key.substring(5);
-            const newValue = resolveExpression(compiled, this.getCurrentContext());
-            const element = node;
-            
-            if (element.getAttribute && element.getAttribute(attrName) !== String(newValue)) {
-              this.setAttributeValue(element, attrName, newValue);
-            }
-          }
-        }
-      } catch (error) {
-        this.logError('Reactive update error:', error);
-      }
-    }
-
-    // Trigger full re-render if props significantly changed
-    if (this.shouldFullRerender(oldProps, newProps)) {
-      this.render(this.vdom);
-    }
-  }
-
-  shouldFullRerender(oldProps, newProps) {
-    // Simple heuristic - can be made more sophisticated
-    const criticalKeys = ['user', 'data', 'config'];
-    return criticalKeys.some(key => oldProps[key] !== newProps[key]);
+    // The diff patches only what changed; components re-render when their props do
+    this.render(this.compiled);
   }
 
   /**
@@ -956,6 +1260,8 @@ class ClientRenderer {
     switch (vnode.type) {
       case 'text':
         return escapeHtml(vnode.props.content || '');
+      case 'html':
+        return vnode.props.html;
       case 'element':
         const { tagName, ...attrs } = vnode.props;
         const attrStr = this.renderAttributesToString(attrs);
@@ -1033,6 +1339,7 @@ class ClientRenderer {
   getPerformanceStats() {
     return {
       totalRenders: this.renderStats.totalRenders,
+      componentUpdates: this.renderStats.componentUpdates,
       averageRenderTime: this.renderStats.totalRenders > 0 
         ? (this.renderStats.diffTime + this.renderStats.patchTime) / this.renderStats.totalRenders 
         : 0,
@@ -1076,6 +1383,12 @@ class ClientRenderer {
       this.executeHooks(instance, 'beforeUnmount');
       this.executeHooks(instance, 'unmounted');
     }
+
+    // Drop signal subscriptions, including updates already queued
+    for (const instance of this.componentInstances.values()) {
+      instance.mounted = false;
+      instance.observer.dispose();
+    }
     
     // Cleanup event handlers
     this.eventDelegator.destroy();
@@ -1243,6 +1556,39 @@ export class ComponentLifecycle {
   }
 }
 
+/**
+ * Indices of the longest strictly increasing run in `sources`, skipping -1
+ * entries (items with no old position). O(n log n).
+ */
+function longestIncreasingSubsequence(sources) {
+  const predecessors = new Array(sources.length);
+  const tails = []; // tails[k] → index ending the smallest-valued run of length k + 1
+
+  for (let i = 0; i < sources.length; i++) {
+    const value = sources[i];
+    if (value < 0) continue;
+
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (sources[tails[mid]] < value) low = mid + 1;
+      else high = mid;
+    }
+
+    predecessors[i] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = i;
+  }
+
+  const result = new Array(tails.length);
+  let index = tails.length > 0 ? tails[tails.length - 1] : -1;
+  for (let k = tails.length - 1; k >= 0; k--) {
+    result[k] = index;
+    index = predecessors[index];
+  }
+  return result;
+}
+
 /**
  * Enhanced mount function with lifecycle control
  */
@@ -1280,7 +1626,7 @@ export function mountFML(compiled, target, props = {}, options = {}) {
     debug: {
       getVDOM: () => renderer.vdom,
       getHydrationMismatches: () => renderer.hydrationMismatches,
-      forceRerender: () => renderer.render(renderer.vdom)
+      forceRerender: () => renderer.render(renderer.compiled)
     }
   };
 }
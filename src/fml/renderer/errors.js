@@ -0,0 +1,33 @@
+// src/fml/renderer/errors.js
+// Render Error Collection — Errors the renderer recovered from, gathered per page for the dev overlay
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+// One list per page render; follows nested processFML() and async component calls
+const errorStorage = new AsyncLocalStorage();
+
+/**
+ * Run `fn` with `errors` (an array) collecting every isolated render error
+ */
+export function runWithRenderErrors(errors, fn) {
+  return errorStorage.run(errors, fn);
+}
+
+/**
+ * Record an error that was rendered as a fallback instead of failing the page.
+ * Does nothing outside a collecting render.
+ * @param {Error} error
+ * @param {{ componentStack?: string[], filePath?: string }} details - Kept on the error when it has none
+ */
+export function reportRenderError(error, details = {}) {
+  const errors = errorStorage.getStore();
+  if (!errors || !(error instanceof Error)) return;
+
+  if (details.componentStack?.length && !error.componentStack) {
+    error.componentStack = [...details.componentStack];
+  }
+  if (details.filePath) error.filePath ??= details.filePath;
+
+  // An error caught at several levels is reported once
+  if (!errors.includes(error)) errors.push(error);
+}
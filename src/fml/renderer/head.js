@@ -0,0 +1,132 @@
+// src/fml/renderer/head.js
+// Document Head Collection — <Head> tags from pages, layouts and components, keyed & hoisted
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { escapeHtml, escapeAttribute } from '../utils/escape.js';
+
+// One collector per page render; follows async component calls without threading it through props
+const headStorage = new AsyncLocalStorage();
+
+/**
+ * Ordered, de-duplicated set of head tags. A later tag with the same key
+ * replaces an earlier one in place, so the innermost page/component wins.
+ */
+export class HeadManager {
+  constructor() {
+    this.entries = new Map(); // key → html
+  }
+
+  /**
+   * Add one rendered tag. Tags without a natural key are de-duplicated by content.
+   */
+  add(key, html) {
+    const tag = String(html || '').trim();
+    if (!tag) return;
+    this.entries.set(key || `html:${tag}`, tag);
+  }
+
+  /**
+   * Add a JS page/layout `head` export: a raw HTML string or
+   * `{ title, meta: [{ name, content }], link: [{ rel, href }], script: [{ src }] }`
+   */
+  addObject(head) {
+    if (!head) return;
+
+    if (typeof head === 'string') {
+      this.add(null, head);
+      return;
+    }
+
+    if (head.title != null) {
+      this.add('title', `<title>${escapeHtml(String(head.title))}</title>`);
+    }
+
+    for (const [tagName, list] of [['meta', head.meta], ['link', head.link], ['script', head.script]]) {
+      for (const attrs of list || []) {
+        const { key, ...rest } = attrs;
+        const html = tagName === 'script'
+          ? `<script${renderTagAttributes(rest)}></script>`
+          : `<${tagName}${renderTagAttributes(rest)} />`;
+        this.add(getHeadKey(tagName, rest, key), html);
+      }
+    }
+  }
+
+  /**
+   * Fold another collector in; its tags override ours key by key
+   */
+  merge(other) {
+    if (!other) return this;
+    for (const [key, html] of other.entries) {
+      this.entries.set(key, html);
+    }
+    return this;
+  }
+
+  has(key) {
+    return this.entries.has(key);
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  render(indent = '    ') {
+    return Array.from(this.entries.values()).join(`\n${indent}`);
+  }
+}
+
+/**
+ * Natural de-duplication key for a head tag. An explicit `key` attribute wins.
+ * @param {string} tagName
+ * @param {Object} attrs - Resolved attribute values
+ * @param {string} [explicitKey]
+ * @returns {string|null}
+ */
+export function getHeadKey(tagName, attrs = {}, explicitKey = null) {
+  if (explicitKey != null && explicitKey !== '') return `key:${explicitKey}`;
+
+  switch (String(tagName).toLowerCase()) {
+    case 'title':
+      return 'title';
+    case 'base':
+      return 'base';
+    case 'meta':
+      if (attrs.charset != null) return 'meta:charset';
+      if (attrs.name) return `meta:name:${attrs.name}`;
+      if (attrs.property) return `meta:property:${attrs.property}`;
+      if (attrs['http-equiv']) return `meta:http-equiv:${String(attrs['http-equiv']).toLowerCase()}`;
+      if (attrs.itemprop) return `meta:itemprop:${attrs.itemprop}`;
+      return null;
+    case 'link':
+      if (attrs.rel === 'canonical') return 'link:canonical';
+      if (attrs.rel && attrs.href) return `link:${attrs.rel}:${attrs.href}`;
+      return null;
+    case 'script':
+      return attrs.src ? `script:${attrs.src}` : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Run `fn` with `manager` as the active head collector
+ */
+export function runWithHead(manager, fn) {
+  return headStorage.run(manager, fn);
+}
+
+/**
+ * Head collector of the page currently being rendered, if any
+ * @returns {HeadManager|undefined}
+ */
+export function getCurrentHead() {
+  return headStorage.getStore();
+}
+
+function renderTagAttributes(attrs) {
+  return Object.entries(attrs)
+    .filter(([, value]) => value != null && value !== false)
+    .map(([name, value]) => (value === true ? ` ${name}` : ` ${name}="${escapeAttribute(String(value))}"`))
+    .join('');
+}
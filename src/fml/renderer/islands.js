@@ -0,0 +1,84 @@
+// src/fml/renderer/islands.js
+// Islands — client:load / client:visible / client:idle components, rendered on the server and hydrated alone
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { escapeAttribute, escapeJavaScript } from '../utils/escape.js';
+
+// Component attribute → hydration strategy used by the browser loader
+export const ISLAND_DIRECTIVES = {
+  'client:load': 'load',
+  'client:visible': 'visible',
+  'client:idle': 'idle'
+};
+
+// Set while an island component renders, so nested renderers keep event hints
+const islandScope = new AsyncLocalStorage();
+
+// Only components that were actually rendered as islands are served to the browser
+const islandComponents = new Set();
+
+// Process-wide, so ids never collide between renderers on one page
+let islandCount = 0;
+
+/**
+ * Remove client:* attributes from evaluated props
+ * @returns {string|null} Hydration strategy, or null for a static component
+ */
+export function takeIslandDirective(props) {
+  let strategy = null;
+  for (const [attr, value] of Object.entries(ISLAND_DIRECTIVES)) {
+    if (attr in props) {
+      if (props[attr] !== false) strategy ??= value;
+      delete props[attr];
+    }
+  }
+  return strategy;
+}
+
+/**
+ * Run a component render inside the island scope
+ */
+export function runInIsland(fn) {
+  return islandScope.run(true, fn);
+}
+
+export function isInIsland() {
+  return islandScope.getStore() === true;
+}
+
+export function isIslandComponent(name) {
+  return islandComponents.has(name);
+}
+
+/**
+ * Serialize island props to JSON. Functions and other values JSON cannot
+ * carry are dropped; `dropped` lists their names for a dev warning.
+ */
+export function serializeIslandProps(props) {
+  const dropped = [];
+  const json = JSON.stringify(props, (key, value) => {
+    if (typeof value === 'function' || typeof value === 'symbol' || typeof value === 'bigint') {
+      dropped.push(key);
+      return undefined;
+    }
+    return value;
+  });
+  return { json: json || '{}', dropped };
+}
+
+/**
+ * Wrap server-rendered component HTML in the marker the browser runtime looks for.
+ * Props go in an inline script just ahead of it, so they are in place before the
+ * runtime can see the marker.
+ */
+export function renderIslandMarker(name, strategy, propsJson, html) {
+  islandComponents.add(name);
+  const id = (islandCount++).toString(36);
+  return `<script>(self.__FML_PROPS__=self.__FML_PROPS__||{})["${id}"]=JSON.parse("${escapeJavaScript(propsJson)}")</script>` +
+    `<fml-island component="${escapeAttribute(name)}" hydrate="${strategy}" props-id="${id}" ` +
+    `style="display:contents">${html}</fml-island>`;
+}
+
+export function getIslandStats() {
+  return { components: Array.from(islandComponents) };
+}
@@ -0,0 +1,123 @@
+// src/fml/renderer/runtime.js
+// Client Runtime — Builds and versions the browser bundle served at /_folonite/runtime.js
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const isDevelopment = process.env.NODE_ENV === 'development';
+
+export const RUNTIME_PATH = '/_folonite/runtime.js';
+
+const FML_DIR = path.resolve('./src/fml');
+
+// Every module in the browser graph, relative to src/fml. Their contents make up the version.
+export const RUNTIME_SOURCES = [
+  'runtime/index.js',
+  'runtime/env.js',
+  'runtime/islands.js',
+  'runtime/router.js',
+  'parser/lexer.js',
+  'parser/parser.js',
+  'compiler/compiler.js',
+  'compiler/expression.js',
+  'compiler/filters.js',
+  'compiler/styles.js',
+  'renderer/client.js',
+  'renderer/signals.js',
+  'utils/escape.js',
+  'utils/sanitize.js',
+  'utils/helpers.js'
+];
+
+// Without esbuild the browser loads the same graph module by module
+const UNBUNDLED_RUNTIME = "export * from '/_folonite/fml/runtime/index.js';\n";
+
+// === CLIENT RUNTIME — Content-Hashed, Built Lazily On First Request ===
+
+export class ClientRuntime {
+  constructor() {
+    this.version = null;
+    this.stamp = null;
+    this.bundle = null; // Promise<{ version, code, bundled }>
+  }
+
+  /**
+   * Content hash of the runtime sources. Production hashes once; development
+   * re-hashes whenever a source file changes, so the script URL changes with it.
+   */
+  getVersion() {
+    if (this.version && !isDevelopment) return this.version;
+
+    const stamp = RUNTIME_SOURCES.map(file => {
+      const stat = fs.statSync(path.join(FML_DIR, file));
+      return `${stat.mtimeMs}:${stat.size}`;
+    }).join('|');
+
+    if (stamp !== this.stamp) {
+      const hash = crypto.createHash('sha256').update(process.env.NODE_ENV || '');
+      for (const file of RUNTIME_SOURCES) {
+        hash.update(fs.readFileSync(path.join(FML_DIR, file)));
+      }
+      this.version = hash.digest('hex').slice(0, 10);
+      this.stamp = stamp;
+      this.bundle = null;
+    }
+
+    return this.version;
+  }
+
+  /**
+   * Versioned URL for the page's <script type="module">
+   */
+  getSrc() {
+    return `${RUNTIME_PATH}?v=${this.getVersion()}`;
+  }
+
+  /**
+   * The bundled runtime for the current version. A failed build is not cached.
+   */
+  build() {
+    const version = this.getVersion();
+    this.bundle ??= bundleRuntime(version).catch(error => {
+      this.bundle = null;
+      throw error;
+    });
+    return this.bundle;
+  }
+
+  getStats() {
+    return {
+      src: this.version ? `${RUNTIME_PATH}?v=${this.version}` : null,
+      version: this.version,
+      built: this.bundle !== null
+    };
+  }
+}
+
+async function bundleRuntime(version) {
+  try {
+    const esbuild = await import('esbuild');
+    const result = await esbuild.build({
+      entryPoints: [path.join(FML_DIR, 'runtime/index.js')],
+      bundle: true,
+      format: 'esm',
+      platform: 'browser',
+      minify: !isDevelopment,
+      sourcemap: isDevelopment ? 'inline' : false,
+      legalComments: 'none',
+      banner: { js: `// Folonite FML runtime ${version}` },
+      write: false,
+      logLevel: 'silent'
+    });
+
+    return { version, code: result.outputFiles[0].text, bundled: true };
+  } catch (error) {
+    // A real build failure lists its errors; anything else means esbuild itself is unusable
+    if (error.errors?.length) throw error;
+    console.warn(`⚠️ esbuild unavailable (${error.message.trim().split('\n')[0]}); serving the FML client runtime unbundled`);
+    return { version, code: UNBUNDLED_RUNTIME, bundled: false };
+  }
+}
+
+export const clientRuntime = new ClientRuntime();
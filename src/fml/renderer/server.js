@@ -1,20 +1,92 @@
 // src/fml/renderer/server.js
 
 import { escapeHtml, escapeAttribute } from '../utils/escape.js';
+import { sanitizeHtml } from '../utils/sanitize.js';
 import { SELF_CLOSING_TAGS, resolveExpression } from '../compiler/compiler.js';
+import { applyPropDefaults, matchesPropType } from '../compiler/props.js';
 import { Readable, Transform } from 'stream';
 import { performance } from 'perf_hooks';
+import { AsyncLocalStorage } from 'async_hooks';
+import { getCurrentHead, getHeadKey } from './head.js';
+import { clientRuntime, RUNTIME_PATH } from './runtime.js';
+import { signal } from './signals.js';
+import { reportRenderError } from './errors.js';
+import {
+  takeIslandDirective,
+  runInIsland,
+  isInIsland,
+  serializeIslandProps,
+  renderIslandMarker
+} from './islands.js';
+
+// Scoped style ids written inline by the outermost render, shared with the
+// renderers of nested .fml components so each style is written once
+const inlinedStyleStorage = new AsyncLocalStorage();
+
+// Moves a resolved <Suspense> boundary from its <template> over the fallback.
+// Sent once per document, before the first boundary that needs it.
+const SUSPENSE_SWAP_SCRIPT = 'self.__fmlSwap=self.__fmlSwap||function(i){' +
+  'var s=document.querySelector(\'template[data-fml-suspense="\'+i+\'"]\'),' +
+  't=document.querySelector(\'template[data-fml-resolved="\'+i+\'"]\');' +
+  'if(!s||!t)return;var n=s.nextSibling;' +
+  'while(n&&!(n.nodeType===8&&n.data===\'/fml-suspense:\'+i)){var x=n.nextSibling;n.remove();n=x}' +
+  'if(n)n.remove();s.replaceWith(t.content);t.remove()}';
+
+/**
+ * Server stand-in for the client component instance, so one component can
+ * render in both places. State and signals hold their initial values; hooks
+ * are collected but never run.
+ */
+function createServerInstance(name, props) {
+  const signals = new Map();
+  return {
+    name,
+    props,
+    state: {},
+    mounted: false,
+    hooks: {
+      beforeMount: [],
+      mounted: [],
+      beforeUpdate: [],
+      updated: [],
+      beforeUnmount: [],
+      unmounted: []
+    },
+    setState() {},
+    signal(key, initialValue, options) {
+      if (!signals.has(key)) signals.set(key, signal(initialValue, options));
+      return signals.get(key);
+    },
+    forceUpdate() {}
+  };
+}
 
 /**
  * Render a compiled FML tree on the server
  * @param {Object} compiled - Compiled FML output from FMLCompiler
  * @param {Object} props - Root component props/context
  * @param {Object} options - Renderer options
- * @returns {string} Rendered HTML string
+ * @returns {Promise<string>} Rendered HTML string, async components resolved
  */
 export function renderServer(compiled, props = {}, options = {}) {
   const renderer = new ServerRenderer(props, options);
-  return renderer.render(compiled);
+  return renderer.renderToString(compiled);
+}
+
+/**
+ * Render a compiled FML tree as HTML chunks. The synchronous pass (which also
+ * collects <Head> tags and starts every async component) runs before this
+ * returns; each chunk is yielded as soon as the subtrees before it have settled.
+ * Deferred <Suspense> boundaries come last, or separately through the
+ * iterator's `main` and `boundaries` (see ServerRenderer#renderChunks).
+ * @param {Object} compiled - Compiled FML output
+ * @param {Object} props - Props/context
+ * @param {Object} options - Renderer options
+ * @returns {AsyncIterableIterator<string> & { main: AsyncIterable<string>, boundaries: AsyncIterable<string> }}
+ */
+export function renderServerChunks(compiled, props = {}, options = {}) {
+  const renderer = new ServerRenderer(props, { ...options, streaming: true });
+  return renderer.renderChunks(compiled);
 }
 
 /**
@@ -39,8 +111,28 @@ class ServerRenderer {
     this.phase2 = options.phase2 !== false;
     this.streaming = !!options.streaming;
     this.validateProps = options.validateProps !== false;
+    // Pre-rendered HTML projected into <Slot /> outlets (e.g. a page inside its layout)
+    this.slots = options.slots || {};
+    // Registry for component nodes that carry no function (ahead-of-time compiled templates)
+    this.components = options.components || {};
+    // <Head> collector: explicit option, else the one the page render installed
+    this.head = options.head || getCurrentHead() || null;
+    this.inlinedStyles = inlinedStyleStorage.getStore() || new Set(); // Scoped style ids already written inline (no head collector)
+    // Inside a client:* island, event hints are emitted for the browser to hydrate
+    this.hydrate = options.hydrate ?? isInIsland();
     this.componentStack = [];
     this.contextStack = [];
+
+    // Async components render to a placeholder first; their output is
+    // swapped in once settled (in order, when streaming)
+    this.pending = new Map(); // placeholder → Promise<string>
+    this.settled = new Map(); // placeholder → string, once the promise is done
+    this.asyncToken = Math.random().toString(36).slice(2, 10);
+    this.placeholderPattern = new RegExp(`<!--fml-async:${this.asyncToken}:\\d+-->`, 'g');
+
+    // <Suspense> boundaries deferred while streaming, streamed after the main document
+    this.boundaries = [];
+    this.suspenseStack = [];
     
     // Performance monitoring
     this.performance = {
@@ -85,6 +177,120 @@ class ServerRenderer {
     }
   }
 
+  /**
+   * Render a tree and await its async components. They all start during the
+   * synchronous pass, so sibling components fetch and render concurrently.
+   */
+  async renderToString(node) {
+    let html = '';
+    for await (const chunk of this.renderChunks(node)) {
+      html += chunk;
+    }
+    return html;
+  }
+
+  /**
+   * Run the synchronous pass now and return its HTML as an async iterator
+   * that waits on async component placeholders one at a time, followed by
+   * deferred <Suspense> boundaries. Callers that send markup between the two
+   * (a layout's closing chrome) iterate `main`, then `boundaries`, instead.
+   */
+  renderChunks(node) {
+    // Components called during this pass (and their async work) see our inlined styles
+    const html = inlinedStyleStorage.run(this.inlinedStyles, () => this.render(node));
+    const main = this.resolveChunks(html);
+    const boundaries = this.resolveBoundaries();
+
+    const chunks = (async function* () {
+      yield* main;
+      yield* boundaries;
+    })();
+    return Object.assign(chunks, { main, boundaries });
+  }
+
+  /**
+   * Stream deferred <Suspense> boundaries in the order they finish. A nested
+   * boundary waits for its parent, whose template holds the nested fallback.
+   * Their markers must already be in the document, so this follows the main pass.
+   */
+  async *resolveBoundaries() {
+    const deferred = this.boundaries.filter(b => !b.inline);
+
+    for (const boundary of deferred) {
+      let parent = boundary.parent;
+      while (parent?.inline) parent = parent.parent;
+
+      boundary.done = Promise.all([parent ? parent.done : null, this.resolveBoundary(boundary)])
+        .then(([, html]) => html);
+    }
+
+    const remaining = new Map(deferred.map(boundary => [
+      boundary,
+      boundary.done.then(html => ({ boundary, html }))
+    ]));
+    let scriptSent = false;
+
+    while (remaining.size > 0) {
+      const { boundary, html } = await Promise.race(remaining.values());
+      remaining.delete(boundary);
+
+      const script = scriptSent ? '' : `<script>${SUSPENSE_SWAP_SCRIPT}</script>`;
+      scriptSent = true;
+
+      yield `${script}<template data-fml-resolved="${boundary.id}">${html}</template>` +
+        `<script>__fmlSwap("${boundary.id}")</script>`;
+    }
+  }
+
+  /**
+   * Resolve one boundary's HTML. A failure only replaces this boundary's
+   * content; the rest of the response keeps streaming.
+   */
+  async resolveBoundary(boundary) {
+    try {
+      let html = '';
+      for await (const chunk of this.resolveChunks(boundary.html)) {
+        html += chunk;
+      }
+      return html;
+    } catch (error) {
+      return this.renderComponentError('Suspense', error);
+    }
+  }
+
+  /**
+   * Yield `html` with placeholders filled in. Text is buffered until a
+   * placeholder is still pending, so each chunk ends where rendering waits.
+   */
+  async *resolveChunks(html) {
+    const self = this;
+    let buffer = '';
+
+    async function* expand(str) {
+      let last = 0;
+      for (const match of str.matchAll(self.placeholderPattern)) {
+        buffer += str.slice(last, match.index);
+        last = match.index + match[0].length;
+
+        const placeholder = match[0];
+        if (!self.settled.has(placeholder) && buffer) {
+          yield buffer;
+          buffer = '';
+        }
+
+        // Children rendered before their async parent resolved appear inside its output
+        const output = self.settled.has(placeholder)
+          ? self.settled.get(placeholder)
+          : await self.pending.get(placeholder) ?? '';
+        yield* expand(output);
+      }
+      buffer += str.slice(last);
+    }
+
+    yield* expand(html);
+    if (buffer) yield buffer;
+  }
+
   /**
    * Main render dispatch with performance tracking
    */
@@ -148,6 +354,22 @@ class ServerRenderer {
         case 'slot':
           result = this.phase2 ? this.renderSlot(node) : '';
           break;
+        case 'head':
+          result = this.phase2 ? this.renderHead(node) : '';
+          break;
+        case 'suspense':
+          result = this.phase2 ? this.renderSuspense(node) : '';
+          break;
+        case 'include':
+          result = this.phase2 ? this.renderInclude(node) : '';
+          break;
+        case 'style':
+          result = this.renderStyle(node);
+          break;
+        case 'compiled':
+          // Generated by compiler/codegen.js: static HTML with calls back into this renderer
+          result = node.render(this);
+          break;
 
         default:
           this.logWarn(`Unknown node type: ${node.type}`);
@@ -171,93 +393,53 @@ class ServerRenderer {
   }
 
   /**
-   * Create streaming renderer for large documents
+   * Create streaming renderer for large documents. The header goes out on the
+   * first read; body chunks are then pulled one per read() so a slow consumer
+   * applies backpressure instead of buffering the whole document.
    */
   createStream(compiled) {
     const self = this;
-    let chunkCount = 0;
-    
+    let chunks = null;
+
     return new Readable({
       objectMode: false,
       read() {
-        try {
-          if (chunkCount === 0) {
-            // Stream HTML document header
-            this.push('<!DOCTYPE html>\n');
-            this.push('<html>\n<head>\n');
-            this.push('<meta charset="UTF-8">\n');
-            this.push('<meta name="viewport" content="width=device-width, initial-scale=1.0">\n');
-            if (self.debug) {
-              this.push(`<!-- FML Streaming Renderer - Start ${new Date().toISOString()} -->\n`);
-            }
-            this.push('</head>\n<body>\n');
+        if (!chunks) {
+          // Stream HTML document header
+          this.push('<!DOCTYPE html>\n');
+          this.push('<html>\n<head>\n');
+          this.push('<meta charset="UTF-8">\n');
+          this.push('<meta name="viewport" content="width=device-width, initial-scale=1.0">\n');
+          if (self.debug) {
+            this.push(`<!-- FML Streaming Renderer - Start ${new Date().toISOString()} -->\n`);
           }
+          this.push('</head>\n<body>\n');
+          chunks = self.renderChunks(compiled);
+        }
 
-          if (chunkCount === 1) {
-            // Stream main content in chunks
-            const content = self.renderWithChunking(compiled, 1000); // 1KB chunks
-            for (const chunk of content) {
-              this.push(chunk);
-            }
+        chunks.next().then(({ value, done }) => {
+          if (!done) {
+            this.push(value);
+            return;
           }
 
-          if (chunkCount === 2) {
-            // Stream footer and performance stats
-            this.push('\n</body>\n');
-            
-            if (self.debug) {
-              const stats = self.getPerformanceStats();
-              this.push(`<!-- Performance Stats: ${JSON.stringify(stats)} -->\n`);
-            }
-            
-            this.push('</html>');
-            this.push(null); // End stream
+          // Stream footer and performance stats
+          this.push('\n</body>\n');
+
+          if (self.debug) {
+            const stats = self.getPerformanceStats();
+            this.push(`<!-- Performance Stats: ${JSON.stringify(stats)} -->\n`);
           }
 
-          chunkCount++;
-        } catch (error) {
-          this.emit('error', error);
-        }
+          this.push('</html>');
+          this.push(null); // End stream
+        }, error => {
+          this.destroy(error);
+        });
       }
     });
   }
 
-  /**
-   * Render content in chunks for streaming
-   */
-  renderWithChunking(node, chunkSize = 1000) {
-    const chunks = [];
-    let currentChunk = '';
-    
-    const addToChunk = (content) => {
-      currentChunk += content;
-      if (currentChunk.length >= chunkSize) {
-        chunks.push(currentChunk);
-        currentChunk = '';
-      }
-    };
-
-    // Simplified chunked rendering
-    const renderChunked = (n) => {
-      if (!n) return;
-      
-      if (n.type === 'fragment') {
-        (n.children || []).forEach(renderChunked);
-      } else {
-        const content = this.render(n);
-        addToChunk(content);
-      }
-    };
-
-    renderChunked(node);
-    
-    if (currentChunk) {
-      chunks.push(currentChunk);
-    }
-    
-    return chunks;
-  }
-
   /**
    * Enhanced fragment rendering with error boundaries
    */
@@ -291,7 +473,10 @@ class ServerRenderer {
     }
 
     const attrs = this.renderAttributes(attributes);
-    const content = this.renderChildren(children);
+    // CSS is raw text; escaping would break selectors like `a > b`
+    const content = tagName.toLowerCase() === 'style'
+      ? children.map(child => child.content || '').join('')
+      : this.renderChildren(children);
 
     if (this.isSelfClosingTag(tagName)) {
       return `<${tagName}${attrs} />`;
@@ -303,7 +488,8 @@ class ServerRenderer {
    * Enhanced component rendering with prop validation and isolation
    */
   renderComponent(node) {
-    const { name, component, props: rawProps, children } = node;
+    const { name, props: rawProps, children } = node;
+    const component = node.component || this.components[name];
     const componentStartTime = performance.now();
 
     if (!component || typeof component !== 'function') {
@@ -322,37 +508,105 @@ class ServerRenderer {
 
     try {
       const evaluatedProps = this.evaluateProps(rawProps);
+      const islandStrategy = this.phase2 ? takeIslandDirective(evaluatedProps) : null;
       
-      // Prop validation
-      if (this.validateProps) {
-        this.validateComponentProps(name, evaluatedProps);
-      }
+      // Prop validation; declared defaults apply even when validation is off
+      this.validateComponentProps(name, evaluatedProps, component.propTypes);
 
       // Pass rendered children as `children` prop
       if (children && children.length > 0) {
         evaluatedProps.children = this.renderChildren(children);
       }
 
-      const result = component(evaluatedProps);
+      // Named slot content, rendered here in the caller's scope
+      const slotNames = Object.keys(node.slots || {});
+      if (slotNames.length > 0) {
+        evaluatedProps.slots = {};
+        for (const slotName of slotNames) {
+          evaluatedProps.slots[slotName] = this.renderChildren(node.slots[slotName]);
+        }
+      }
+
+      const island = islandStrategy ? this.prepareIsland(name, islandStrategy, evaluatedProps) : null;
+      const instance = createServerInstance(name, evaluatedProps);
+      const result = island
+        ? runInIsland(() => component(evaluatedProps, instance))
+        : component(evaluatedProps, instance);
+
+      if (result && typeof result.then === 'function') {
+        return this.deferComponent(name, result, componentStartTime, island);
+      }
+
       const output = typeof result === 'string' ? result : String(result || '');
       
       // Track component performance
       const renderTime = performance.now() - componentStartTime;
       this.trackComponentPerformance(name, renderTime);
       
-      return output;
+      return island ? renderIslandMarker(name, island.strategy, island.props, output) : output;
 
     } catch (error) {
-      this.logError(`Failed to render component <${name}>:`, error);
-      return this.debug
-        ? `<div class="fml-error" data-component="${name}" data-error="${escapeAttribute(error.message)}">❌ ${name}</div>`
-        : '';
+      return this.renderComponentError(name, error);
     } finally {
       this.popContext();
       this.componentStack.pop();
     }
   }
 
+  /**
+   * Park an async component's result behind a placeholder. Timing and error
+   * isolation match sync components, measured when the promise settles.
+   */
+  deferComponent(name, result, componentStartTime, island = null) {
+    const placeholder = `<!--fml-async:${this.asyncToken}:${this.pending.size}-->`;
+
+    // The stack has unwound by the time the promise settles
+    const componentStack = [...this.componentStack];
+    const promise = Promise.resolve(result).then(
+      output => {
+        this.trackComponentPerformance(name, performance.now() - componentStartTime);
+        const html = typeof output === 'string' ? output : String(output || '');
+        return island ? renderIslandMarker(name, island.strategy, island.props, html) : html;
+      },
+      error => this.renderComponentError(name, error, componentStack)
+    );
+
+    this.pending.set(placeholder, promise.then(html => {
+      this.settled.set(placeholder, html);
+      return html;
+    }));
+
+    return placeholder;
+  }
+
+  /**
+   * Serialize an island's props and make sure the page loads the client runtime
+   */
+  prepareIsland(name, strategy, props) {
+    const { json, dropped } = serializeIslandProps(props);
+
+    if (dropped.length > 0) {
+      this.logWarn(`Island <${name}>: props ${dropped.join(', ')} cannot be serialized and are not sent to the browser`);
+    }
+
+    const runtimeSrc = clientRuntime.getSrc();
+    if (this.head) {
+      this.head.add(`script:${RUNTIME_PATH}`, `<script type="module" src="${runtimeSrc}"></script>`);
+    } else {
+      this.logWarn(`Island <${name}> rendered outside a page; add <script type="module" src="${runtimeSrc}"> yourself`);
+    }
+
+    return { strategy, props: json };
+  }
+
+  renderComponentError(name, error, componentStack = this.componentStack) {
+    this.logError(`Failed to render component <${name}>:`, error);
+    reportRenderError(error, { componentStack });
+    return this.debug
+      ? `<div class="fml-error" data-component="${name}" data-error="${escapeAttribute(error.message)}">❌ ${name}</div>`
+      : '';
+  }
+
   /**
    * Enhanced Phase 2: If directive with context debugging
    */
@@ -379,11 +633,14 @@ class ServerRenderer {
   }
 
   /**
-   * Enhanced conditional chain rendering
+   * The first ElseIf whose condition holds, else the Else branch
    */
   renderConditionalChain(ifNode) {
-    // This would be handled by the parser to create a proper conditional chain
-    // For now, just render the if block
+    for (const branch of ifNode.branches || []) {
+      if (branch.type === 'else' || resolveExpression(branch.condition, this.getCurrentContext())) {
+        return this.renderChildren(branch.children);
+      }
+    }
     return '';
   }
 
@@ -416,20 +673,22 @@ class ServerRenderer {
       }
 
       const results = [];
+      const body = node.body || node.children || [];
+      const bodyNodes = Array.isArray(body) ? body : [body];
       
       for (let i = 0; i < items.length; i++) {
         const loopContext = {
+          // Preserve parent context; the loop variables shadow it
+          ...this.getCurrentContext(),
           [itemVar]: items[i],
-          [indexVar]: i,
-          // Preserve parent context
-          ...this.getCurrentContext()
+          [indexVar]: i
         };
 
         this.pushContext(loopContext);
         this.debugContext(`For iteration ${i}`, loopContext);
         
         try {
-          const itemResult = this.renderChildren(node.body || node.children);
+          const itemResult = this.renderChildren(bodyNodes);
           if (itemResult) results.push(itemResult);
         } finally {
           this.popContext();
@@ -491,6 +750,11 @@ class ServerRenderer {
       const value = resolveExpression(node.compiled, this.getCurrentContext());
       const result = value ?? '';
       
+      if (node.html) {
+        const policy = node.policy ? resolveExpression(node.policy, this.getCurrentContext()) : null;
+        return sanitizeHtml(String(result), policy);
+      }
+
       if (this.debug && typeof value === 'object') {
         this.logDebug(`Interpolation rendered object: ${JSON.stringify(value)}`);
       }
@@ -527,8 +791,133 @@ class ServerRenderer {
     return this.renderChildren(node.children);
   }
 
+  // Projected content wins; a slot left empty (or only whitespace) shows its fallback
   renderSlot(node) {
-    return this.renderChildren(node.children);
+    const content = this.slots[node.name || 'default'];
+    if (content != null && String(content).trim() !== '') {
+      return String(content);
+    }
+    return this.renderChildren(node.fallback || node.children);
+  }
+
+  /**
+   * Render an included partial with its `with` values layered over the current context
+   */
+  renderInclude(node) {
+    const locals = node.with ? resolveExpression(node.with, this.getCurrentContext()) : null;
+    if (locals != null && typeof locals !== 'object') {
+      this.logWarn(`<Include src="${node.src}"> with= must be an object, got ${typeof locals}`);
+    }
+
+    this.pushContext(locals && typeof locals === 'object' ? locals : {});
+    try {
+      return this.render(node.template);
+    } finally {
+      this.popContext();
+    }
+  }
+
+  /**
+   * <style scoped>: hoisted into the page head once, however many times the
+   * template renders. Outside a page render it is inlined, once per renderer.
+   */
+  renderStyle(node) {
+    const tag = `<style data-fml-style="${node.id}">${node.css}</style>`;
+
+    if (this.head) {
+      this.head.add(`style:${node.id}`, tag);
+      return '';
+    }
+
+    if (this.inlinedStyles.has(node.id)) return '';
+    this.inlinedStyles.add(node.id);
+    return tag;
+  }
+
+  /**
+   * Collect <Head> children for hoisting; nothing is rendered in place.
+   * Elements are keyed (title, meta name/property, canonical…) so the
+   * innermost declaration wins; an explicit key="…" overrides the natural key.
+   */
+  renderHead(node) {
+    if (!this.head) {
+      this.logWarn('<Head> used outside a page render, its content is dropped');
+      return '';
+    }
+
+    for (const child of node.children || []) {
+      if (child.type === 'element') {
+        const { key: keyAttr, ...attributes } = child.attributes || {};
+        const attrValues = {};
+        for (const [name, attr] of Object.entries(attributes)) {
+          attrValues[name] = attr.type === 'dynamic'
+            ? resolveExpression(attr.compiled, this.getCurrentContext())
+            : attr.value;
+        }
+
+        const explicitKey = keyAttr
+          ? (keyAttr.type === 'dynamic' ? resolveExpression(keyAttr.compiled, this.getCurrentContext()) : keyAttr.value)
+          : null;
+
+        this.head.add(
+          getHeadKey(child.tagName, attrValues, explicitKey),
+          this.render({ ...child, attributes })
+        );
+      } else {
+        this.head.add(null, this.render(child));
+      }
+    }
+
+    return '';
+  }
+
+  /**
+   * <Suspense>: when streaming and a child is still pending, emit the fallback
+   * between markers and defer the children to resolveBoundaries(). Outside
+   * streaming, or when nothing is pending, the children render in place.
+   * .fml components render to a string (mode 'server'), so a boundary inside
+   * one waits for its children rather than streaming a fallback.
+   */
+  renderSuspense(node) {
+    if (!this.streaming) {
+      return this.renderChildren(node.children);
+    }
+
+    const boundary = {
+      id: `${this.asyncToken}-${this.boundaries.length}`,
+      parent: this.suspenseStack[this.suspenseStack.length - 1] || null,
+      html: '',
+      inline: false
+    };
+    this.boundaries.push(boundary);
+    this.suspenseStack.push(boundary);
+
+    try {
+      boundary.html = this.renderChildren(node.children);
+    } finally {
+      this.suspenseStack.pop();
+    }
+
+    const isPending = Array.from(boundary.html.matchAll(this.placeholderPattern))
+      .some(match => !this.settled.has(match[0]));
+
+    if (!isPending) {
+      boundary.inline = true;
+      return boundary.html;
+    }
+
+    return `<template data-fml-suspense="${boundary.id}"></template>` +
+      this.renderSuspenseFallback(node) +
+      `<!--/fml-suspense:${boundary.id}-->`;
+  }
+
+  // Fallback markup renders like any content; the fallback="…" shorthand is text
+  renderSuspenseFallback(node) {
+    if (node.fallbackContent) {
+      return this.renderChildren(node.fallbackContent);
+    }
+    const fallback = node.fallback ? this.evaluateProps({ fallback: node.fallback }).fallback : '';
+    return escapeHtml(String(fallback ?? ''));
   }
 
   renderText(node) {
@@ -584,7 +973,7 @@ class ServerRenderer {
           }
         } else if (this.phase2 && attr.type === 'event') {
           // Add hydration hints for client-side event binding
-          if (this.debug) {
+          if (this.debug || this.hydrate) {
             const eventName = name.replace(/^on/, '').toLowerCase();
             parts.push(`data-fml-on-${eventName}="${escapeAttribute(attr.expression || '')}"`);
           }
@@ -624,12 +1013,29 @@ class ServerRenderer {
   /**
    * Validate component props
    */
-  validateComponentProps(componentName, props) {
+  validateComponentProps(componentName, props, schema = null) {
     if (!props || typeof props !== 'object') {
       this.logWarn(`Component "${componentName}": props is not an object`);
       return;
     }
 
+    if (schema) applyPropDefaults(schema, props);
+    if (!this.validateProps) return;
+
+    // Against the component's declared <Props>
+    if (schema) {
+      for (const name of schema.required || []) {
+        if (props[name] === undefined) {
+          this.logWarn(`Component "${componentName}" is missing required prop "${name}"`);
+        }
+      }
+      for (const [name, type] of Object.entries(schema.types || {})) {
+        if (props[name] !== undefined && !matchesPropType(props[name], type)) {
+          this.logWarn(`Component "${componentName}": prop "${name}" should be of type ${type}, got ${Array.isArray(props[name]) ? 'array' : typeof props[name]}`);
+        }
+      }
+    }
+
     // Check for common prop issues
     for (const [key, value] of Object.entries(props)) {
       if (typeof value === 'function' && !key.startsWith('on')) {
@@ -782,6 +1188,7 @@ class ServerRenderer {
     };
     
     this.logError('Render error:', errorInfo);
+    reportRenderError(error, { componentStack: this.componentStack });
     
     if (this.debug) {
       console.error('Full error details:', error);
@@ -943,6 +1350,7 @@ export function createPerformanceMonitor(options = {}) {
 
 export default {
   renderServer,
+  renderServerChunks,
   renderServerStream,
   ServerRenderer,
   createPerformanceMonitor,
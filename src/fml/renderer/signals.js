@@ -0,0 +1,269 @@
+// src/fml/renderer/signals.js
+// Signals — Fine-grained reactive values with dependency tracking and a batched update queue
+
+// Observer currently collecting the signals it reads (a computed, an effect or a component render)
+let activeObserver = null;
+
+// Pending observer notifications, flushed once per microtask or at the end of batch()
+const queue = new Set();
+let batchDepth = 0;
+let flushScheduled = false;
+let flushPromise = Promise.resolve();
+
+// === SIGNAL ===
+
+export class Signal {
+  constructor(value, options = {}) {
+    this._value = value;
+    this.equals = options.equals || Object.is;
+    this.observers = new Set();
+  }
+
+  get value() {
+    if (activeObserver) {
+      this.observers.add(activeObserver);
+      activeObserver.sources.add(this);
+    }
+    return this._value;
+  }
+
+  set value(next) {
+    if (this.equals(this._value, next)) return;
+    this._value = next;
+    this.notify();
+  }
+
+  /**
+   * Read without subscribing the current observer
+   */
+  peek() {
+    return this._value;
+  }
+
+  /**
+   * Set from the previous value: count.update(n => n + 1)
+   */
+  update(fn) {
+    this.value = fn(this._value);
+  }
+
+  notify() {
+    for (const observer of Array.from(this.observers)) {
+      observer.invalidate();
+    }
+  }
+
+  /**
+   * Call `callback(value)` after every change, outside any render
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(callback) {
+    return effect(() => callback(this.value));
+  }
+
+  toString() {
+    return String(this.value);
+  }
+
+  toJSON() {
+    return this._value;
+  }
+}
+
+// === OBSERVERS ===
+
+/**
+ * Anything that reads signals: re-tracks its sources on every run
+ */
+export class Observer {
+  constructor(onInvalidate) {
+    this.onInvalidate = onInvalidate;
+    this.sources = new Set();
+    this.disposed = false;
+  }
+
+  /**
+   * Run `fn`, recording every signal it reads as a source of this observer
+   */
+  track(fn) {
+    this.clearSources();
+    const previous = activeObserver;
+    activeObserver = this;
+    try {
+      return fn();
+    } finally {
+      activeObserver = previous;
+    }
+  }
+
+  invalidate() {
+    if (!this.disposed) this.onInvalidate(this);
+  }
+
+  clearSources() {
+    for (const source of this.sources) {
+      source.observers.delete(this);
+    }
+    this.sources.clear();
+  }
+
+  dispose() {
+    this.disposed = true;
+    this.clearSources();
+    queue.delete(this);
+  }
+}
+
+class Computed extends Signal {
+  constructor(fn) {
+    super(undefined);
+    this.fn = fn;
+    this.dirty = true;
+    this.observer = new Observer(() => {
+      if (this.dirty) return;
+      this.dirty = true;
+      this.notify();
+    });
+  }
+
+  get value() {
+    if (this.dirty) {
+      this._value = this.observer.track(this.fn);
+      this.dirty = false;
+    }
+    return super.value;
+  }
+
+  set value(_) {
+    throw new Error('computed() values are read-only');
+  }
+
+  peek() {
+    return this.dirty ? this.value : this._value;
+  }
+}
+
+/**
+ * Create a reactive value
+ * @param {*} value - Initial value
+ * @param {{ equals?: Function }} options
+ */
+export function signal(value, options) {
+  return new Signal(value, options);
+}
+
+/**
+ * Derived value, recomputed lazily when one of the signals it read changes
+ */
+export function computed(fn) {
+  return new Computed(fn);
+}
+
+/**
+ * Run `fn` now and again (batched) whenever a signal it read changes
+ * @returns {Function} Dispose
+ */
+export function effect(fn) {
+  let cleanup = null;
+  const observer = new Observer(self => schedule(self));
+
+  observer.run = () => {
+    if (typeof cleanup === 'function') cleanup();
+    cleanup = observer.track(fn);
+  };
+
+  observer.run();
+
+  return () => {
+    if (typeof cleanup === 'function') cleanup();
+    observer.dispose();
+  };
+}
+
+// === BATCHED SCHEDULER ===
+
+/**
+ * Queue an observer's `run()`. Runs once per flush, however many of its
+ * sources changed.
+ */
+export function schedule(observer) {
+  queue.add(observer);
+  if (batchDepth === 0 && !flushScheduled) {
+    flushScheduled = true;
+    flushPromise = Promise.resolve().then(flush);
+  }
+}
+
+/**
+ * Group several writes into one update pass
+ */
+export function batch(fn) {
+  batchDepth++;
+  try {
+    return fn();
+  } finally {
+    batchDepth--;
+    if (batchDepth === 0 && queue.size > 0) flush();
+  }
+}
+
+/**
+ * Resolves after pending updates have been applied to the DOM
+ */
+export function nextTick() {
+  return flushPromise;
+}
+
+function flush() {
+  flushScheduled = false;
+
+  // Observers queued while flushing (an update writing another signal) run in the same pass
+  let guard = 0;
+  while (queue.size > 0) {
+    if (++guard > 100) {
+      console.error('[FML Signals] Update loop detected; dropping pending updates');
+      queue.clear();
+      break;
+    }
+
+    const observers = Array.from(queue);
+    queue.clear();
+    for (const observer of observers) {
+      if (observer.disposed) continue;
+      try {
+        observer.run();
+      } catch (error) {
+        console.error('[FML Signals] Update failed:', error);
+      }
+    }
+  }
+}
+
+/**
+ * Run `fn` without subscribing the current observer to anything it reads
+ */
+export function untrack(fn) {
+  const previous = activeObserver;
+  activeObserver = null;
+  try {
+    return fn();
+  } finally {
+    activeObserver = previous;
+  }
+}
+
+export function isSignal(value) {
+  return value instanceof Signal;
+}
+
+export default {
+  signal,
+  computed,
+  effect,
+  batch,
+  untrack,
+  nextTick,
+  isSignal,
+  Signal,
+  Observer
+};
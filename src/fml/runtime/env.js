@@ -0,0 +1,4 @@
+// src/fml/runtime/env.js
+// Browser Environment Shim — Imported first, so FML modules can read process.env at load time
+
+globalThis.process ??= { env: { NODE_ENV: 'production' } };
@@ -0,0 +1,40 @@
+// src/fml/runtime/index.js
+// FML Browser Runtime — Entry bundled into /_folonite/runtime.js; hydrates islands and starts the opt-in router on load
+
+import './env.js';
+import { FMLParser } from '../parser/parser.js';
+import { FMLCompiler } from '../compiler/compiler.js';
+import { renderClient, mountFML, hydrateFML, createReactiveFML, ComponentLifecycle } from '../renderer/client.js';
+import { signal, computed, effect, batch, untrack, nextTick } from '../renderer/signals.js';
+import { startIslands, readHydrationProps } from './islands.js';
+import { startRouter, navigate, prefetch } from './router.js';
+
+/**
+ * Parse and compile an FML source string in the browser
+ */
+export function compileFML(source, options = {}) {
+  const ast = new FMLParser({ phase2: true, ...options }).parse(source);
+  return new FMLCompiler({ phase2: true, ...options }).compile(ast);
+}
+
+export {
+  FMLParser,
+  FMLCompiler,
+  renderClient,
+  mountFML,
+  hydrateFML,
+  createReactiveFML,
+  ComponentLifecycle,
+  signal,
+  computed,
+  effect,
+  batch,
+  untrack,
+  nextTick,
+  readHydrationProps,
+  navigate,
+  prefetch
+};
+
+startIslands({ compileFML, hydrateFML });
+startRouter();
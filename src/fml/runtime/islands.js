@@ -0,0 +1,105 @@
+// src/fml/runtime/islands.js
+// Browser Island Loader — Hydrates <fml-island> markers; everything else on the page stays static HTML
+
+const COMPONENT_BASE = '/_folonite/components/';
+
+// Filled by the inline scripts the server writes ahead of each island marker
+const PROPS_GLOBAL = '__FML_PROPS__';
+
+const scheduled = new WeakSet();
+
+/**
+ * Take the serialized props for an island marker. Each entry is read once.
+ */
+export function readHydrationProps(element) {
+  const id = element.getAttribute('props-id');
+  const store = globalThis[PROPS_GLOBAL];
+  if (id == null || !store || !(id in store)) return {};
+
+  const props = store[id];
+  delete store[id];
+  return props;
+}
+
+async function hydrateIsland(element, runtime) {
+  const name = element.getAttribute('component');
+
+  try {
+    const props = readHydrationProps(element);
+    const module = await import(`${COMPONENT_BASE}${encodeURIComponent(name)}.js`);
+
+    if (module.format === 'fml') {
+      element.fmlIsland = runtime.hydrateFML(element, runtime.compileFML(module.default), props);
+    } else if (typeof module.hydrate === 'function') {
+      // JS components render strings; interactivity comes from their hydrate(element, props) export
+      element.fmlIsland = await module.hydrate(element, props);
+    } else {
+      console.warn(`[FML Islands] <${name}> has no hydrate(element, props) export`);
+    }
+
+    element.setAttribute('hydrated', '');
+  } catch (error) {
+    console.error(`[FML Islands] Failed to hydrate <${name}>:`, error);
+  }
+}
+
+function scheduleIsland(element, runtime) {
+  if (scheduled.has(element)) return;
+  scheduled.add(element);
+
+  switch (element.getAttribute('hydrate')) {
+    case 'visible': {
+      if (!('IntersectionObserver' in window)) return hydrateIsland(element, runtime);
+      // display:contents has no box of its own, so watch the rendered children
+      const targets = element.children.length > 0 ? Array.from(element.children) : [element];
+      const observer = new IntersectionObserver(entries => {
+        if (entries.some(entry => entry.isIntersecting)) {
+          observer.disconnect();
+          hydrateIsland(element, runtime);
+        }
+      }, { rootMargin: '200px' });
+      targets.forEach(target => observer.observe(target));
+      break;
+    }
+    case 'idle':
+      if ('requestIdleCallback' in window) {
+        requestIdleCallback(() => hydrateIsland(element, runtime), { timeout: 2000 });
+      } else {
+        setTimeout(() => hydrateIsland(element, runtime), 200);
+      }
+      break;
+    default:
+      hydrateIsland(element, runtime);
+  }
+}
+
+/**
+ * Hydrate the islands already on the page and any that arrive later.
+ * Runs once per page, even if the runtime is imported under two URLs.
+ * @param {{ compileFML: Function, hydrateFML: Function }} runtime
+ */
+export function startIslands(runtime) {
+  if (typeof document === 'undefined' || globalThis.__FML_ISLANDS_STARTED__) return;
+  globalThis.__FML_ISLANDS_STARTED__ = true;
+
+  const scan = (root = document) => {
+    root.querySelectorAll('fml-island:not([hydrated])').forEach(element => scheduleIsland(element, runtime));
+  };
+
+  // Islands can arrive after load, e.g. from a streamed <Suspense> boundary
+  new MutationObserver(mutations => {
+    for (const mutation of mutations) {
+      for (const node of mutation.addedNodes) {
+        if (node.nodeType !== 1) continue;
+        if (node.localName === 'fml-island') scheduleIsland(node, runtime);
+        scan(node);
+      }
+    }
+  }).observe(document.documentElement, { childList: true, subtree: true });
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => scan());
+  } else {
+    scan();
+  }
+}
@@ -0,0 +1,349 @@
+// src/fml/runtime/router.js
+// Client Router — Same-origin navigation without full reloads, with hover / viewport prefetching
+
+const ROUTER_META = 'meta[name="fml-router"]';
+const REGION_SELECTOR = 'fml-page';
+
+const PREFETCH_TTL = 30000;
+const HOVER_DELAY = 65;
+
+// url → { promise, time }; entries are consumed by the navigation that uses them
+const prefetched = new Map();
+
+// History entry key → scroll offset, saved whenever we leave an entry
+const scrollPositions = new Map();
+
+let prefetchMode = 'hover';
+let navigationId = 0;
+let currentKey = null;
+let linkObserver = null;
+let announcer = null;
+
+// === LINK HANDLING ===
+
+/**
+ * The URL an anchor navigates to, or null when the browser should handle it:
+ * modified clicks, other targets, downloads, other origins, same-page hashes,
+ * framework assets and links marked data-fml-reload
+ */
+function getRoutableUrl(anchor) {
+  if (!anchor || !anchor.href) return null;
+  if (anchor.target && anchor.target !== '_self') return null;
+  if (anchor.hasAttribute('download') || anchor.hasAttribute('data-fml-reload')) return null;
+  if ((anchor.getAttribute('rel') || '').split(/\s+/).includes('external')) return null;
+
+  const url = new URL(anchor.href, location.href);
+  if (url.origin !== location.origin) return null;
+  if (url.pathname.startsWith('/_folonite/')) return null;
+
+  // In-page anchors scroll natively
+  if (url.hash && url.pathname === location.pathname && url.search === location.search) return null;
+
+  return url;
+}
+
+function onClick(event) {
+  if (event.defaultPrevented || event.button !== 0) return;
+  if (event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+
+  const url = getRoutableUrl(event.target.closest?.('a[href]'));
+  if (!url) return;
+
+  event.preventDefault();
+  navigate(url.href);
+}
+
+function onPopState(event) {
+  if (!event.state || !event.state.fml) return;
+
+  saveScroll();
+  currentKey = event.state.key;
+  navigate(location.href, { push: false, scrollTo: scrollPositions.get(currentKey) ?? 0 });
+}
+
+// === PREFETCHING ===
+
+function canPrefetch(anchor) {
+  if (prefetchMode === 'none' || anchor.getAttribute('data-fml-prefetch') === 'false') return false;
+  return !navigator.connection?.saveData;
+}
+
+/**
+ * Start loading a page so a later click can swap it in immediately
+ */
+export function prefetch(href) {
+  const url = new URL(href, location.href).href;
+  const entry = prefetched.get(url);
+  if (entry && Date.now() - entry.time < PREFETCH_TTL) return entry.promise;
+
+  const promise = fetchPage(url);
+  // A failed prefetch is retried by the real navigation
+  promise.catch(() => prefetched.delete(url));
+  prefetched.set(url, { promise, time: Date.now() });
+  return promise;
+}
+
+function prefetchAnchor(anchor) {
+  const url = getRoutableUrl(anchor);
+  if (url && url.href !== location.href && canPrefetch(anchor)) prefetch(url.href);
+}
+
+function setupHoverPrefetch() {
+  let timer = null;
+
+  document.addEventListener('mouseover', event => {
+    const anchor = event.target.closest?.('a[href]');
+    if (!anchor) return;
+    clearTimeout(timer);
+    timer = setTimeout(() => prefetchAnchor(anchor), HOVER_DELAY);
+  }, { passive: true });
+
+  document.addEventListener('mouseout', () => clearTimeout(timer), { passive: true });
+
+  // Touch and keyboard users show intent without hovering
+  for (const type of ['touchstart', 'focusin']) {
+    document.addEventListener(type, event => {
+      prefetchAnchor(event.target.closest?.('a[href]'));
+    }, { passive: true });
+  }
+}
+
+function observeLinks(root) {
+  if (!linkObserver) return;
+  root.querySelectorAll('a[href]').forEach(anchor => linkObserver.observe(anchor));
+}
+
+function setupViewportPrefetch() {
+  if (!('IntersectionObserver' in window)) return;
+
+  linkObserver = new IntersectionObserver(entries => {
+    for (const entry of entries) {
+      if (!entry.isIntersecting) continue;
+      linkObserver.unobserve(entry.target);
+      prefetchAnchor(entry.target);
+    }
+  }, { rootMargin: '200px' });
+
+  observeLinks(document);
+}
+
+// === NAVIGATION ===
+
+async function fetchPage(url) {
+  const response = await fetch(url, {
+    credentials: 'same-origin',
+    headers: { Accept: 'text/html' }
+  });
+
+  // Error pages are never cached as prefetches; a full load shows them instead
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} for ${url}`);
+  }
+  if (!(response.headers.get('Content-Type') || '').includes('text/html')) {
+    throw new Error(`Not an HTML page: ${url}`);
+  }
+
+  return { html: await response.text(), url: response.url || url };
+}
+
+function takePage(url) {
+  const entry = prefetched.get(url);
+  prefetched.delete(url);
+  if (entry && Date.now() - entry.time < PREFETCH_TTL) {
+    return entry.promise.catch(() => fetchPage(url));
+  }
+  return fetchPage(url);
+}
+
+/**
+ * Navigate to `href` in place. Falls back to a full page load if the page
+ * cannot be fetched or is not HTML.
+ * @param {string} href
+ * @param {{ push?: boolean, replace?: boolean, scrollTo?: number }} options
+ */
+export async function navigate(href, options = {}) {
+  const { push = true, replace = false, scrollTo = null } = options;
+  const url = new URL(href, location.href).href;
+  const id = ++navigationId;
+
+  if (push) saveScroll();
+  document.documentElement.setAttribute('data-fml-navigating', '');
+
+  try {
+    const page = await takePage(url);
+
+    // A newer navigation started while this one was loading
+    if (id !== navigationId) return;
+
+    const nextDocument = new DOMParser().parseFromString(page.html, 'text/html');
+
+    if (push) {
+      currentKey = createKey();
+      history[replace ? 'replaceState' : 'pushState']({ fml: true, key: currentKey }, '', page.url);
+    }
+
+    const region = swapDocument(nextDocument);
+    restoreScroll(new URL(page.url), scrollTo);
+    moveFocus(region);
+    announce(document.title);
+
+    document.dispatchEvent(new CustomEvent('fml:navigate', { detail: { url: page.url } }));
+  } catch (error) {
+    if (id === navigationId) {
+      console.warn('[FML Router] Falling back to a full page load:', error);
+      location.assign(url);
+    }
+  } finally {
+    if (id === navigationId) document.documentElement.removeAttribute('data-fml-navigating');
+  }
+}
+
+/**
+ * Swap the new page in. Only the <fml-page> region is replaced while the
+ * layout chain is unchanged; otherwise the whole body is.
+ * @returns {Element} The element whose content changed
+ */
+function swapDocument(nextDocument) {
+  updateHead(nextDocument);
+
+  const currentRegion = document.querySelector(REGION_SELECTOR);
+  const nextRegion = nextDocument.querySelector(REGION_SELECTOR);
+  let changed;
+
+  if (currentRegion && nextRegion &&
+      currentRegion.getAttribute('data-layout') === nextRegion.getAttribute('data-layout')) {
+    currentRegion.replaceChildren(...Array.from(nextRegion.childNodes, node => document.importNode(node, true)));
+    changed = currentRegion;
+  } else {
+    const body = document.importNode(nextDocument.body, true);
+    document.body.replaceWith(body);
+    changed = body;
+  }
+
+  activateScripts(changed);
+  observeLinks(changed);
+  return changed;
+}
+
+/**
+ * Sync <head>: keep tags both pages share, drop the old page's, add the new
+ * page's. Scripts that already ran are never removed or re-run.
+ */
+function updateHead(nextDocument) {
+  document.title = nextDocument.title;
+
+  const current = new Map();
+  for (const element of document.head.children) {
+    current.set(element.outerHTML, element);
+  }
+
+  for (const element of nextDocument.head.children) {
+    if (element.localName === 'title') continue;
+    if (current.has(element.outerHTML)) {
+      current.delete(element.outerHTML);
+      continue;
+    }
+    const imported = document.importNode(element, true);
+    document.head.appendChild(element.localName === 'script' ? recreateScript(imported) : imported);
+  }
+
+  for (const element of current.values()) {
+    if (element.localName !== 'script' && element.localName !== 'title') element.remove();
+  }
+}
+
+/**
+ * Parsed scripts never execute when inserted; replace each with a fresh copy
+ * so inline island props and <Suspense> swaps run as they would on a full load
+ */
+function activateScripts(root) {
+  root.querySelectorAll('script').forEach(script => {
+    script.replaceWith(recreateScript(script));
+  });
+}
+
+function recreateScript(script) {
+  const fresh = document.createElement('script');
+  for (const { name, value } of script.attributes) {
+    fresh.setAttribute(name, value);
+  }
+  fresh.textContent = script.textContent;
+  return fresh;
+}
+
+// === SCROLL, FOCUS & ANNOUNCEMENTS ===
+
+function createKey() {
+  return Math.random().toString(36).slice(2, 10);
+}
+
+function saveScroll() {
+  if (currentKey) scrollPositions.set(currentKey, window.scrollY);
+}
+
+function restoreScroll(url, scrollTo) {
+  if (scrollTo != null) {
+    window.scrollTo(0, scrollTo);
+    return;
+  }
+
+  const target = url.hash && document.getElementById(decodeURIComponent(url.hash.slice(1)));
+  if (target) {
+    target.scrollIntoView();
+  } else {
+    window.scrollTo(0, 0);
+  }
+}
+
+/**
+ * Put focus where a full load would: an [autofocus] element, else the page heading
+ */
+function moveFocus(region) {
+  const target = region.querySelector('[autofocus]') || region.querySelector('h1');
+  if (!target) return;
+
+  if (!target.hasAttribute('tabindex') && target.localName === 'h1') {
+    target.setAttribute('tabindex', '-1');
+  }
+  target.focus({ preventScroll: true });
+}
+
+/**
+ * Screen readers hear nothing when only part of the page changes, so read out the new title
+ */
+function announce(message) {
+  if (!announcer || !announcer.isConnected) {
+    announcer = document.createElement('div');
+    announcer.setAttribute('aria-live', 'assertive');
+    announcer.setAttribute('aria-atomic', 'true');
+    announcer.style.cssText = 'position:absolute;width:1px;height:1px;overflow:hidden;clip:rect(0 0 0 0);white-space:nowrap';
+    document.body.appendChild(announcer);
+  }
+  announcer.textContent = message;
+}
+
+// === STARTUP ===
+
+/**
+ * Turn the router on when the page opts in with <meta name="fml-router">.
+ * The meta's content picks the prefetch mode: hover (default), viewport or none.
+ */
+export function startRouter() {
+  if (typeof document === 'undefined' || globalThis.__FML_ROUTER_STARTED__) return;
+
+  const meta = document.querySelector(ROUTER_META);
+  if (!meta) return;
+  globalThis.__FML_ROUTER_STARTED__ = true;
+
+  prefetchMode = meta.getAttribute('content') || 'hover';
+  history.scrollRestoration = 'manual';
+
+  currentKey = history.state?.key || createKey();
+  history.replaceState({ ...history.state, fml: true, key: currentKey }, '', location.href);
+
+  document.addEventListener('click', onClick);
+  window.addEventListener('popstate', onPopState);
+
+  if (prefetchMode !== 'none') setupHoverPrefetch();
+  if (prefetchMode === 'viewport') setupViewportPrefetch();
+}
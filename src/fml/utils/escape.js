@@ -2,8 +2,8 @@
 
 const HTML_ESCAPE_MAP = {
   '&': '&amp;',
-  '<': '<',
-  '>': '>',
+  '<': '&lt;',
+  '>': '&gt;',
   '"': '&quot;',
   "'": '&#x27;',
   '/': '&#x2F;',
@@ -59,8 +59,9 @@ const UNICODE_ESCAPE_MAP = {
 const HTML_ESCAPE_REGEX = /[&<>"'\/`=]/g;
 const EXTENDED_HTML_ESCAPE_REGEX = /[&<>"'\/`=\u00A0\u2028\u2029\u0000\uFEFF]/g;
 const UNICODE_CONTROL_REGEX = /[\u0000-\u001F\u007F]/g;
-const ATTRIBUTE_ESCAPE_REGEX = /["&]/g;
-const JAVASCRIPT_ESCAPE_REGEX = /[\\'"\/\r\n\t\b\f]/g;
+const ATTRIBUTE_ESCAPE_REGEX = /[&<>"']/g;
+const URL_SCHEME_REGEX = /^[a-z][a-z0-9+.-]*:/i;
+const JAVASCRIPT_ESCAPE_REGEX = /[\\'"\/<>\r\n\t\b\f\u2028\u2029]/g;
 
 /**
  * XSS attack patterns for detection
@@ -520,6 +521,12 @@ export function escapeJavaScript(str, options = {}) {
       case '"': return quote === '"' ? '\\"' : '"';
       case "'": return quote === "'" ? "\\'" : "'";
       case '/': return '\\/';
+      // Never let a string close or open a <script> / <!-- inside inline script
+      case '<': return '\\u003C';
+      case '>': return '\\u003E';
+      // Line terminators in string literals are a syntax error in older engines
+      case '\u2028': return '\\u2028';
+      case '\u2029': return '\\u2029';
       case '\r': return '\\r';
       case '\n': return '\\n';
       case '\t': return '\\t';
@@ -595,8 +602,9 @@ function sanitizeContentAttribute(value) {
 }
 
 function sanitizeGenericAttribute(value) {
-  // Basic escaping for unknown attributes
-  return escapeHtml(value);
+  // Entity escaping happens once in escapeAttribute(); escaping here too
+  // would turn "/" into "&amp;#x2F;"
+  return value;
 }
 
 function sanitizeColorValue(value) {
@@ -638,8 +646,14 @@ function containsXSSPatterns(content) {
   return XSS_PATTERNS.some(pattern => pattern.test(content));
 }
 
+/**
+ * A URL without a scheme ("images/a.png", "?q=1", "docs/intro", "/", "#top")
+ * is relative. Browsers drop leading control characters and tabs or newlines
+ * anywhere, so "java\tscript:" is still a scheme; the check runs on that form.
+ */
 function isRelativeUrl(url) {
-  return URL_PROTOCOLS.RELATIVE.some(prefix => url.startsWith(prefix));
+  const normalized = url.replace(/^[\u0000-\u0020]+/, '').replace(/[\t\n\r]/g, '');
+  return !URL_SCHEME_REGEX.test(normalized);
 }
 
 function getXSSPatternType(index) {
@@ -3,23 +3,27 @@
 
 /**
  * Simple, safe cloning for logging/debugging purposes
- * Does not handle Date, RegExp, circular refs — but safe for plain objects
+ * Does not handle Date or RegExp; circular refs (e.g. AST parent links) become "[Circular]"
  */
-function tryClone(obj) {
+function tryClone(obj, seen = new WeakSet()) {
   if (obj === null || typeof obj !== 'object') return obj;
+  if (seen.has(obj)) return '[Circular]';
+  seen.add(obj);
+
+  let cloned;
   if (Array.isArray(obj)) {
-    return obj.map(item => tryClone(item));
-  }
-  if (typeof obj === 'object') {
-    const cloned = {};
+    cloned = obj.map(item => tryClone(item, seen));
+  } else {
+    cloned = {};
     for (const key in obj) {
       if (Object.prototype.hasOwnProperty.call(obj, key)) {
-        cloned[key] = tryClone(obj[key]);
+        cloned[key] = tryClone(obj[key], seen);
       }
     }
-    return cloned;
   }
-  return obj;
+
+  seen.delete(obj);
+  return cloned;
 }
 
 // ==============================
@@ -523,6 +527,8 @@ export class SystemHealthMonitor {
         }
       });
     }, this.checkInterval);
+    // Background monitors never keep a process (a build, a script) alive on their own
+    this.monitoringInterval.unref?.();
     
     fmlDebugger.info('System health monitoring started');
   }
@@ -542,7 +548,7 @@ export const healthMonitor = new SystemHealthMonitor();
 // Enhanced LRU Cache (with memory tracking)
 // ==============================
 
-class LRUCache {
+export class LRUCache {
   constructor(maxSize = 100, options = {}) {
     this.maxSize = maxSize;
     this.cache = new Map();
@@ -636,9 +642,10 @@ class LRUCache {
 
   setupCleanup() {
     if (typeof setInterval !== 'undefined') {
-      setInterval(() => {
+      const timer = setInterval(() => {
         this.cleanupStaleEntries();
       }, this.cleanupInterval);
+      timer.unref?.();
     }
   }
 
@@ -690,13 +697,13 @@ const globalCache = new LRUCache(50, {
   cleanupInterval: 300000 // 5 minutes
 });
 
+// Compiled partials. Keys carry paths and versions, so entries stay valid in development
+// too; hot reload clears them anyway (see invalidateTemplateCache in index.js)
 export function cacheTemplate(key, compiled) {
-  if (process.env.NODE_ENV === 'development') return;
   globalCache.set(key, compiled);
 }
 
 export function getCachedTemplate(key) {
-  if (process.env.NODE_ENV === 'development') return undefined;
   return globalCache.get(key);
 }
 
@@ -714,7 +721,7 @@ export function generateCacheKey(fmlContent, components = {}) {
   return `${contentHash}-${simpleHash(componentKeys)}`;
 }
 
-function simpleHash(str) {
+export function simpleHash(str) {
   let hash = 5381;
   for (let i = 0; i < str.length; i++) {
     hash = (hash * 33) ^ str.charCodeAt(i);
@@ -1012,6 +1019,7 @@ export class MemoryLeakDetector {
     if (this.isRunning) return;
     this.isRunning = true;
     this.intervalId = setInterval(() => this.takeSample(), this.sampleInterval);
+    this.intervalId.unref?.();
   }
 
   stop() {
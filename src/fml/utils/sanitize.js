@@ -0,0 +1,273 @@
+// src/fml/utils/sanitize.js
+// HTML Sanitizer — Allow-list filter for trusted raw output ({@html} and <Html>), built on escape.js
+
+import { sanitizeUrl, sanitizeAttributeByType, sanitizeCSSInline } from './escape.js';
+
+/**
+ * Default policy. Tags outside `allowedTags` are unwrapped (their text is kept),
+ * except `dropContent` tags, which are removed along with everything inside them.
+ */
+export const DEFAULT_SANITIZE_POLICY = Object.freeze({
+  allowedTags: [
+    'a', 'abbr', 'b', 'blockquote', 'br', 'caption', 'cite', 'code', 'col', 'colgroup',
+    'dd', 'del', 'details', 'div', 'dl', 'dt', 'em', 'figcaption', 'figure',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'ins', 'kbd', 'li', 'mark',
+    'ol', 'p', 'pre', 'q', 's', 'small', 'span', 'strong', 'sub', 'summary', 'sup',
+    'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'u', 'ul'
+  ],
+  // '*' applies to every allowed tag
+  allowedAttributes: {
+    '*': ['class', 'id', 'title', 'lang', 'dir'],
+    a: ['href', 'target', 'rel', 'name'],
+    img: ['src', 'srcset', 'alt', 'width', 'height', 'loading'],
+    blockquote: ['cite'],
+    q: ['cite'],
+    del: ['cite', 'datetime'],
+    ins: ['cite', 'datetime'],
+    ol: ['start', 'reversed', 'type'],
+    td: ['colspan', 'rowspan'],
+    th: ['colspan', 'rowspan', 'scope'],
+    col: ['span'],
+    colgroup: ['span'],
+    details: ['open']
+  },
+  allowedProtocols: ['http:', 'https:', 'mailto:', 'tel:'],
+  // Inline base64 images in <img src>
+  allowDataImages: false,
+  dropContent: [
+    'script', 'style', 'iframe', 'object', 'embed', 'applet', 'noscript', 'noembed',
+    'template', 'textarea', 'select', 'svg', 'math', 'head', 'title', 'xmp', 'plaintext'
+  ]
+});
+
+const VOID_TAGS = new Set(['area', 'br', 'col', 'embed', 'hr', 'img', 'input', 'source', 'track', 'wbr']);
+
+const URL_ATTRIBUTES = new Set(['href', 'src', 'cite', 'action', 'formaction', 'poster', 'background', 'longdesc']);
+
+// Sticky patterns, matched at the scanner's position
+const TAG_PATTERN = /<([a-zA-Z][\w:-]*)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>/y;
+const END_TAG_PATTERN = /<\/([a-zA-Z][\w:-]*)\s*>/y;
+const ATTRIBUTE_PATTERN = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00A0' };
+
+let currentPolicy = DEFAULT_SANITIZE_POLICY;
+
+// === POLICY ===
+
+function mergePolicy(base, overrides = {}) {
+  return {
+    ...base,
+    ...overrides,
+    allowedAttributes: { ...base.allowedAttributes, ...overrides.allowedAttributes }
+  };
+}
+
+/**
+ * Change the policy every raw output site uses. Keys not given keep their
+ * default; `allowedAttributes` is merged per tag.
+ * @param {Object} overrides
+ */
+export function configureSanitizer(overrides = {}) {
+  currentPolicy = Object.freeze(mergePolicy(DEFAULT_SANITIZE_POLICY, overrides));
+  return currentPolicy;
+}
+
+export function getSanitizerPolicy() {
+  return currentPolicy;
+}
+
+// === ESCAPING HELPERS ===
+
+function decodeEntities(value) {
+  return value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);?/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : '';
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+// Text keeps its entities; only markup characters and stray ampersands are escaped
+function escapeText(text) {
+  return text
+    .replace(/&(?!#\d+;|#x[0-9a-f]+;|[a-z][a-z0-9]*;)/gi, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+function escapeAttributeValue(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#x27;');
+}
+
+// === ATTRIBUTES ===
+
+function isAllowedAttribute(name, tagName, policy) {
+  if (name.startsWith('on')) return false;
+  const global = policy.allowedAttributes['*'] || [];
+  const forTag = policy.allowedAttributes[tagName] || [];
+  return global.includes(name) || forTag.includes(name);
+}
+
+/**
+ * Clean one attribute value. URL sanitization already entity-escapes its
+ * result; everything else is escaped here.
+ * @returns {string|null} Escaped value, or null to drop the attribute
+ */
+function sanitizeAttribute(name, value, tagName, policy) {
+  if (URL_ATTRIBUTES.has(name)) {
+    return sanitizeUrl(value, {
+      allowProtocols: policy.allowedProtocols,
+      allowDataUrls: policy.allowDataImages && tagName === 'img' && name === 'src'
+    }) || null;
+  }
+
+  if (name === 'srcset') {
+    const candidates = value.split(',').map(candidate => {
+      const [url, descriptor = ''] = candidate.trim().split(/\s+/);
+      const safeUrl = sanitizeUrl(url, { allowProtocols: policy.allowedProtocols });
+      if (!safeUrl || (descriptor && !/^\d+(\.\d+)?[wx]$/.test(descriptor))) return '';
+      return descriptor ? `${safeUrl} ${descriptor}` : safeUrl;
+    }).filter(Boolean);
+    return candidates.length > 0 ? candidates.join(', ') : null;
+  }
+
+  if (name === 'style') {
+    const styles = sanitizeCSSInline(value);
+    return styles ? escapeAttributeValue(styles) : null;
+  }
+
+  // sanitizeAttributeByType entity-escapes data-* values itself; escape them once, here
+  if (name.startsWith('data-')) {
+    return escapeAttributeValue(value);
+  }
+
+  return escapeAttributeValue(sanitizeAttributeByType(value, name, tagName));
+}
+
+function sanitizeAttributes(source, tagName, policy) {
+  const attributes = new Map();
+
+  for (const [, rawName, doubleQuoted, singleQuoted, unquoted] of source.matchAll(ATTRIBUTE_PATTERN)) {
+    const name = rawName.toLowerCase();
+    if (attributes.has(name) || !isAllowedAttribute(name, tagName, policy)) continue;
+
+    const value = decodeEntities(doubleQuoted ?? singleQuoted ?? unquoted ?? '');
+    const clean = sanitizeAttribute(name, value, tagName, policy);
+    if (clean !== null) attributes.set(name, clean);
+  }
+
+  // New tabs must not get a handle on this page
+  if (tagName === 'a' && attributes.get('target') === '_blank') {
+    const rel = new Set((attributes.get('rel') || '').split(/\s+/).filter(Boolean));
+    rel.add('noopener');
+    rel.add('noreferrer');
+    attributes.set('rel', Array.from(rel).join(' '));
+  }
+
+  let result = '';
+  for (const [name, value] of attributes) {
+    result += ` ${name}="${value}"`;
+  }
+  return result;
+}
+
+// === SANITIZER ===
+
+/**
+ * Reduce untrusted HTML to the policy's tags and attributes. The result is
+ * always well-formed: stray end tags are dropped and open tags are closed.
+ * @param {string} html
+ * @param {Object} [overrides] - Policy keys for this call only
+ * @returns {string}
+ */
+export function sanitizeHtml(html, overrides = null) {
+  if (html === null || html === undefined) return '';
+  const source = String(html);
+  const policy = overrides ? mergePolicy(currentPolicy, overrides) : currentPolicy;
+  const allowedTags = new Set(policy.allowedTags);
+  const dropContent = new Set(policy.dropContent);
+
+  const open = []; // Allowed tags awaiting their end tag
+  let output = '';
+  let i = 0;
+
+  while (i < source.length) {
+    const lt = source.indexOf('<', i);
+    if (lt === -1) {
+      output += escapeText(source.slice(i));
+      break;
+    }
+    if (lt > i) output += escapeText(source.slice(i, lt));
+    i = lt;
+
+    // Comments, doctypes, CDATA and processing instructions are dropped
+    if (source.startsWith('<!--', i)) {
+      const end = source.indexOf('-->', i + 4);
+      i = end === -1 ? source.length : end + 3;
+      continue;
+    }
+    if (source[i + 1] === '!' || source[i + 1] === '?') {
+      const end = source.indexOf('>', i);
+      i = end === -1 ? source.length : end + 1;
+      continue;
+    }
+
+    END_TAG_PATTERN.lastIndex = i;
+    const endTag = END_TAG_PATTERN.exec(source);
+    if (endTag) {
+      i = END_TAG_PATTERN.lastIndex;
+      const tagName = endTag[1].toLowerCase();
+      const index = open.lastIndexOf(tagName);
+      if (index !== -1) {
+        // Close anything left open inside it too
+        while (open.length > index) output += `</${open.pop()}>`;
+      }
+      continue;
+    }
+
+    TAG_PATTERN.lastIndex = i;
+    const tag = TAG_PATTERN.exec(source);
+    if (!tag) {
+      // A lone "<" is text
+      output += '&lt;';
+      i++;
+      continue;
+    }
+    i = TAG_PATTERN.lastIndex;
+
+    const tagName = tag[1].toLowerCase();
+    const selfClosing = tag[0].endsWith('/>');
+
+    if (dropContent.has(tagName)) {
+      if (!selfClosing && !VOID_TAGS.has(tagName)) {
+        const close = source.toLowerCase().indexOf(`</${tagName}`, i);
+        const end = close === -1 ? -1 : source.indexOf('>', close);
+        i = end === -1 ? source.length : end + 1;
+      }
+      continue;
+    }
+
+    if (!allowedTags.has(tagName)) continue;
+
+    output += `<${tagName}${sanitizeAttributes(tag[2], tagName, policy)}>`;
+    if (!VOID_TAGS.has(tagName)) {
+      if (selfClosing) {
+        output += `</${tagName}>`;
+      } else {
+        open.push(tagName);
+      }
+    }
+  }
+
+  while (open.length > 0) output += `</${open.pop()}>`;
+  return output;
+}
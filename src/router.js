@@ -1,69 +1,341 @@
-import express from 'express';
+// src/router.js
+// File-System Route Table — Resolves src/pages (.fml / .js) including [param], [...rest] and [[...rest]] segments
+
 import path from 'path';
 import fs from 'fs';
-import { pathToFileURL } from 'url';
-import { renderPage, renderPageStream } from './views/renderPage.js';
-
-export function setupDynamicRouting(app) {
-  const pagesDir = path.resolve('./src/pages');
-
-  const walkDirectory = (dir, routePrefix = '') => {
-    fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
-      const filePath = path.join(dir, entry.name);
-      if (entry.isDirectory()) {
-        walkDirectory(filePath, `${routePrefix}/${entry.name}`);
-      } else if (entry.isFile() && entry.name.endsWith('.js')) {
-        let route = `${routePrefix}/${entry.name.replace('.js', '')}`;
-        route = route.replace(/\[(.+?)\]/g, ':$1');
-        if (entry.name === 'index.js') {
-          route = routePrefix || '/';
-        }
 
-        console.log(`Registering route: ${route} -> ${filePath}`);
-
-        app.get(route, async (req, res, next) => {
-          try {
-            const pageUrl = pathToFileURL(filePath).href;
-            const PageComponent = await import(pageUrl);
-            if (PageComponent && PageComponent.default) {
-              const content = PageComponent.default(req.params);
-              res.send(renderPageWrapper(route, content));
-            } else {
-              console.error(`No default export found in: ${filePath}`);
-              res.status(500).send('Server error: Page component missing default export');
-            }
-          } catch (err) {
-            console.error(`Error loading route ${route}:`, err);
-            next(err);
+// Environment detection
+const isDevelopment = process.env.NODE_ENV === 'development';
+
+const PAGE_EXTENSIONS = ['.fml', '.js'];
+const DATA_FILE_SUFFIX = '.data.js';
+const LAYOUT_FILES = ['_layout.fml', '_layout.js'];
+
+// Root-level pages rendered for error responses instead of being routed
+const SPECIAL_PAGES = {
+  notFound: ['404.fml', '404.js'],
+  error: ['_error.fml', '_error.js']
+};
+const DYNAMIC_SEGMENT = /^\[([a-zA-Z_$][\w$]*)\]$/;
+const CATCH_ALL_SEGMENT = /^\[\.\.\.([a-zA-Z_$][\w$]*)\]$/;
+const OPTIONAL_CATCH_ALL_SEGMENT = /^\[\[\.\.\.([a-zA-Z_$][\w$]*)\]\]$/;
+const MAX_PAGE_PATH_LENGTH = 1024;
+
+// Segment weights — higher wins when two routes match the same path.
+// A route that has already ended outranks an optional catch-all, so
+// docs/index.fml serves /docs ahead of docs/[[...slug]].fml
+const SegmentRank = {
+  static: 4,
+  dynamic: 3,
+  catchAll: 2,
+  end: 1,
+  optionalCatchAll: 0
+};
+
+// === ROUTE TABLE — Built Once From src/pages, Ranked Static-First ===
+
+export class RouteTable {
+  constructor(pagesDir = './src/pages') {
+    this.pagesDir = path.resolve(pagesDir);
+    this.routes = [];
+    this.built = false;
+    this.conflicts = [];
+    this.specialPages = { notFound: null, error: null };
+    this.watcher = null;
+    // Set when the pages directory can't be watched: every lookup rebuilds instead
+    this.rebuildOnLookup = false;
+  }
+
+  /**
+   * Walk the pages directory and build the ranked route list
+   */
+  build() {
+    const routes = [];
+    const specialPages = { notFound: null, error: null };
+
+    const walk = (dir, relativeBase = '', parentLayouts = []) => {
+      let entries;
+      try {
+        entries = fs.readdirSync(dir, { withFileTypes: true });
+      } catch {
+        return;
+      }
+
+      // Layouts nest root-down: every page sees the chain of _layout files above it
+      const layoutFile = LAYOUT_FILES.find(name => entries.some(e => e.isFile() && e.name === name));
+      const layouts = layoutFile
+        ? [...parentLayouts, path.join(dir, layoutFile)]
+        : parentLayouts;
+
+      if (!relativeBase) {
+        for (const [kind, names] of Object.entries(SPECIAL_PAGES)) {
+          const name = names.find(n => entries.some(e => e.isFile() && e.name === n));
+          if (name) {
+            specialPages[kind] = { ...this.createRoute(name, path.join(dir, name)), layouts, dataPath: null };
           }
-        });
-      } else {
-        console.warn(`Skipping non-JS file in pages directory: ${filePath}`);
+        }
+      }
+
+      for (const entry of entries) {
+        if (!relativeBase && SPECIAL_PAGES.notFound.includes(entry.name)) continue;
+
+        // Underscore and dot prefixed entries are reserved, never routable
+        if (entry.name.startsWith('_') || entry.name.startsWith('.')) continue;
+
+        const fullPath = path.join(dir, entry.name);
+        const relativePath = relativeBase ? `${relativeBase}/${entry.name}` : entry.name;
+
+        if (entry.isDirectory()) {
+          walk(fullPath, relativePath, layouts);
+        } else if (entry.isFile() && entry.name.endsWith(DATA_FILE_SUFFIX)) {
+          continue; // Loader for a sibling .fml page, not a page itself
+        } else if (entry.isFile() && PAGE_EXTENSIONS.includes(path.extname(entry.name))) {
+          const route = this.createRoute(relativePath, fullPath);
+          if (route) routes.push({ ...route, layouts, dataPath: findDataFile(dir, entry.name, entries) });
+        }
       }
-    });
-  };
-
-  walkDirectory(pagesDir);
-
-  app.use((req, res) => {
-    res.status(404).send(`
-      <html>
-        <head><title>404 Not Found</title></head>
-        <body><h1>404 - Page Not Found</h1></body>
-      </html>
-    `);
-  });
+    };
+
+    walk(this.pagesDir);
+
+    routes.sort(compareRoutes);
+    this.routes = routes;
+    this.specialPages = specialPages;
+    this.conflicts = findConflicts(routes);
+    this.built = true;
+
+    if (isDevelopment && this.conflicts.length > 0) {
+      this.conflicts.forEach(([a, b]) => {
+        console.warn(`⚠️ Route conflict: ${a.file} and ${b.file} both match /${a.pattern}`);
+      });
+    }
+
+    return this.routes;
+  }
+
+  /**
+   * Turn a page file path (relative to pagesDir) into a route record
+   */
+  createRoute(relativePath, filePath) {
+    const ext = path.extname(relativePath);
+    const parts = relativePath.slice(0, -ext.length).split('/');
+    const isIndex = parts[parts.length - 1] === 'index';
+    if (isIndex) parts.pop();
+
+    const segments = parts.map(parseSegment);
+
+    // Catch-alls swallow the rest of the path, so anything after one is unreachable
+    const restIndex = segments.findIndex(s => s.type === 'catchAll' || s.type === 'optionalCatchAll');
+    if (restIndex !== -1 && restIndex !== segments.length - 1) {
+      console.warn(`⚠️ Ignoring ${relativePath}: catch-all segments must be the last part of a route`);
+      return null;
+    }
+
+    return {
+      pattern: segments.map(formatSegment).join('/'),
+      segments,
+      file: relativePath,
+      path: filePath,
+      type: ext === '.fml' ? 'fml' : 'js',
+      isIndex,
+      isDynamic: segments.some(s => s.type !== 'static')
+    };
+  }
+
+  /**
+   * Find the best route for a page name such as "products/42" or "docs/a/b"
+   * @returns {{ route: Object, params: Object } | null}
+   */
+  match(pageName) {
+    if (!this.built || this.rebuildOnLookup) this.build();
+
+    const parts = String(pageName).split('/').filter(Boolean);
+
+    for (const route of this.routes) {
+      const params = matchSegments(route.segments, parts);
+      if (params) return { route, params };
+    }
+
+    return null;
+  }
+
+  /**
+   * Root-level 404 / _error page, or null when the app does not define one
+   * @param {'notFound'|'error'} kind
+   */
+  getSpecialPage(kind) {
+    if (!this.built || this.rebuildOnLookup) this.build();
+    return this.specialPages[kind] || null;
+  }
+
+  invalidate() {
+    this.built = false;
+  }
+
+  /**
+   * Development: pages added, renamed or removed rebuild the table on the next
+   * lookup. Edits to known pages invalidate it through renderPage's file watcher.
+   * Where recursive watching is unavailable (Linux before Node 19.1) or the
+   * watcher fails (inotify limits), every lookup rebuilds the table instead.
+   */
+  watch() {
+    if (this.watcher || !fs.existsSync(this.pagesDir)) return;
+
+    try {
+      this.watcher = fs.watch(this.pagesDir, { recursive: true }, (eventType) => {
+        if (eventType === 'rename') this.invalidate();
+      });
+      this.watcher.on('error', (error) => this.stopWatching(error));
+      this.watcher.unref();
+    } catch (error) {
+      this.stopWatching(error);
+    }
+  }
+
+  stopWatching(error) {
+    console.warn(`⚠️ Cannot watch ${this.pagesDir} for new pages (${error.message}), rebuilding routes on every request`);
+    this.unwatch();
+    this.rebuildOnLookup = true;
+  }
+
+  unwatch() {
+    this.watcher?.close();
+    this.watcher = null;
+  }
+
+  getStats() {
+    if (!this.built) this.build();
+    return {
+      total: this.routes.length,
+      dynamic: this.routes.filter(r => r.isDynamic).length,
+      conflicts: this.conflicts.map(([a, b]) => [a.file, b.file]),
+      notFoundPage: this.specialPages.notFound?.file || null,
+      errorPage: this.specialPages.error?.file || null,
+      routes: this.routes.map(r => ({
+        pattern: `/${r.pattern}`,
+        file: r.file,
+        type: r.type,
+        layouts: r.layouts.map(l => path.relative(this.pagesDir, l).replace(/\\/g, '/'))
+      }))
+    };
+  }
+}
+
+// === MATCHING HELPERS ===
+
+/**
+ * home.fml → home.data.js in the same directory (JS pages export load() themselves)
+ */
+function findDataFile(dir, pageFile, entries) {
+  if (path.extname(pageFile) !== '.fml') return null;
+  const dataFile = pageFile.replace(/\.fml$/, DATA_FILE_SUFFIX);
+  return entries.some(e => e.isFile() && e.name === dataFile) ? path.join(dir, dataFile) : null;
+}
+
+function parseSegment(part) {
+  let match = part.match(OPTIONAL_CATCH_ALL_SEGMENT);
+  if (match) return { type: 'optionalCatchAll', name: match[1] };
+
+  match = part.match(CATCH_ALL_SEGMENT);
+  if (match) return { type: 'catchAll', name: match[1] };
+
+  match = part.match(DYNAMIC_SEGMENT);
+  if (match) return { type: 'dynamic', name: match[1] };
+
+  return { type: 'static', value: part };
+}
+
+function formatSegment(segment) {
+  switch (segment.type) {
+    case 'static': return segment.value;
+    case 'dynamic': return `[${segment.name}]`;
+    case 'catchAll': return `[...${segment.name}]`;
+    case 'optionalCatchAll': return `[[...${segment.name}]]`;
+  }
 }
 
-function renderPageWrapper(route, content) {
-  return `
-    <html>
-      <head>
-        <title>${route}</title>
-      </head>
-      <body>
-        ${content}
-      </body>
-    </html>
-  `;
+function matchSegments(segments, parts) {
+  const params = {};
+
+  for (let i = 0; i < segments.length; i++) {
+    const segment = segments[i];
+
+    if (segment.type === 'catchAll' || segment.type === 'optionalCatchAll') {
+      const rest = parts.slice(i);
+      if (segment.type === 'catchAll' && rest.length === 0) return null;
+
+      const values = rest.map(safeDecode);
+      if (values.includes(null)) return null;
+
+      params[segment.name] = values;
+      return params;
+    }
+
+    if (i >= parts.length) return null;
+
+    if (segment.type === 'static') {
+      if (segment.value !== parts[i]) return null;
+    } else {
+      const value = safeDecode(parts[i]);
+      if (value === null) return null;
+      params[segment.name] = value;
+    }
+  }
+
+  return segments.length === parts.length ? params : null;
+}
+
+function safeDecode(part) {
+  try {
+    return decodeURIComponent(part);
+  } catch {
+    return null; // Malformed escape sequence
+  }
+}
+
+/**
+ * Priority, compared position by position:
+ * static > [param] > [...rest] > (route ends) > [[...rest]].
+ * Ties prefer a direct file over index, then .fml over .js
+ */
+function compareRoutes(a, b) {
+  const length = Math.max(a.segments.length, b.segments.length);
+  for (let i = 0; i < length; i++) {
+    const rankA = SegmentRank[a.segments[i]?.type ?? 'end'];
+    const rankB = SegmentRank[b.segments[i]?.type ?? 'end'];
+    if (rankA !== rankB) return rankB - rankA;
+  }
+  if (a.isIndex !== b.isIndex) return a.isIndex ? 1 : -1;
+  if (a.type !== b.type) return a.type === 'fml' ? -1 : 1;
+  return a.file.localeCompare(b.file);
+}
+
+function findConflicts(routes) {
+  const conflicts = [];
+  const seen = new Map(); // shape → route
+  for (const route of routes) {
+    const shape = route.segments
+      .map(s => (s.type === 'static' ? `s:${s.value}` : s.type))
+      .join('/');
+    const existing = seen.get(shape);
+    // Same shape from a different file that is not just the .fml/.js or index twin
+    if (existing && existing.pattern !== route.pattern) {
+      conflicts.push([existing, route]);
+    } else if (!existing) {
+      seen.set(shape, route);
+    }
+  }
+  return conflicts;
+}
+
+/**
+ * Reject page paths that could never name a route: traversal segments,
+ * backslashes, control characters and absurd lengths
+ */
+export function isValidPagePath(pagePath) {
+  if (typeof pagePath !== 'string' || pagePath.length > MAX_PAGE_PATH_LENGTH) return false;
+  if (/[\\\x00-\x1f\x7f]/.test(pagePath)) return false;
+  return !pagePath.split('/').some(part => part === '.' || part === '..');
 }
+
+export const routeTable = new RouteTable();
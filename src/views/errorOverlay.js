@@ -0,0 +1,200 @@
+// src/views/errorOverlay.js
+// Development Error Overlay — Full-screen report with error code, source location, code frame and component stack
+
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { escapeHtml } from '../fml/utils/escape.js';
+
+const FRAME_CONTEXT_LINES = 3;
+
+// Frames in framework code are skipped when looking for the line to show
+const FRAMEWORK_DIRS = ['node_modules', 'src/fml', 'src/views'].map(dir => path.resolve(dir) + path.sep);
+
+// Set FOLONITE_EDITOR to one of these, or to a URL template using {file}, {line} and {column}
+const EDITOR_URLS = {
+  vscode: 'vscode://file/{file}:{line}:{column}',
+  cursor: 'cursor://file/{file}:{line}:{column}',
+  webstorm: 'webstorm://open?file={file}&line={line}&column={column}',
+  idea: 'idea://open?file={file}&line={line}&column={column}',
+  sublime: 'subl://open?url=file://{file}&line={line}&column={column}'
+};
+
+// === SOURCE LOCATION ===
+
+/**
+ * Where an error points in the app's source: the FML location the parser or
+ * validator recorded, else the first app frame of the JS stack
+ * @returns {{ file: string, line: number|null, column: number|null }|null}
+ */
+export function resolveErrorSource(error) {
+  if (error.filePath && error.location?.line) {
+    return { file: path.resolve(error.filePath), line: error.location.line, column: error.location.column || 1 };
+  }
+
+  for (let current = error; current; current = current.cause) {
+    const frame = findAppFrame(current.stack);
+    if (frame) return frame;
+  }
+
+  return error.filePath ? { file: path.resolve(error.filePath), line: null, column: null } : null;
+}
+
+function findAppFrame(stack) {
+  if (typeof stack !== 'string') return null;
+
+  for (const line of stack.split('\n')) {
+    const match = line.match(/\(?((?:file:\/\/)?\/[^\s()]+?):(\d+):(\d+)\)?\s*$/);
+    if (!match) continue;
+
+    // Page and component modules are imported with a ?v= cache-buster
+    let file = match[1].replace(/\?[^:]*$/, '');
+    if (file.startsWith('file://')) file = fileURLToPath(file);
+
+    if (!file.startsWith(process.cwd() + path.sep)) continue;
+    if (FRAMEWORK_DIRS.some(dir => file.startsWith(dir))) continue;
+
+    return { file, line: Number(match[2]), column: Number(match[3]) };
+  }
+
+  return null;
+}
+
+// === CODE FRAME ===
+
+/**
+ * Lines around `line` with the offending one marked and a caret under `column`
+ * @returns {string} HTML, or '' when the file cannot be read
+ */
+export function renderCodeFrame(file, line, column = 1) {
+  let lines;
+  try {
+    lines = fs.readFileSync(file, 'utf-8').split('\n');
+  } catch {
+    return '';
+  }
+
+  const start = Math.max(1, line - FRAME_CONTEXT_LINES);
+  const end = Math.min(lines.length, line + FRAME_CONTEXT_LINES);
+  const gutterWidth = String(end).length;
+  const rows = [];
+
+  for (let number = start; number <= end; number++) {
+    const source = lines[number - 1] ?? '';
+    const isErrorLine = number === line;
+    const gutter = `${isErrorLine ? '>' : ' '} ${String(number).padStart(gutterWidth)} | `;
+    rows.push(`<span class="${isErrorLine ? 'fml-frame-error' : ''}">${escapeHtml(gutter + source)}</span>`);
+
+    if (isErrorLine) {
+      // Keep tabs so the caret lines up with the source above it
+      const indent = source.slice(0, Math.max(0, column - 1)).replace(/[^\t]/g, ' ');
+      rows.push(`<span class="fml-frame-caret">${' '.repeat(gutter.length - 2)}| ${indent}^</span>`);
+    }
+  }
+
+  return `<pre class="fml-frame">${rows.join('\n')}</pre>`;
+}
+
+// === EDITOR LINKS ===
+
+function getEditorUrl({ file, line, column }) {
+  const editor = process.env.FOLONITE_EDITOR || 'vscode';
+  const template = EDITOR_URLS[editor] || (editor.includes('{file}') ? editor : EDITOR_URLS.vscode);
+
+  return template
+    .replace('{file}', encodeURI(file))
+    .replace('{line}', line || 1)
+    .replace('{column}', column || 1);
+}
+
+// === OVERLAY ===
+
+function describeError(error) {
+  const code = error.code || error.name || 'Error';
+  const message = error.message.replace(/^(FML Processing Error: )?\[FML [A-Z_]+\] /, '$1');
+  return { code, message };
+}
+
+function renderErrorSection(error, index) {
+  const { code, message } = describeError(error);
+  const source = resolveErrorSource(error);
+  const relativeFile = source ? path.relative(process.cwd(), source.file).replace(/\\/g, '/') : null;
+  const position = source?.line ? `:${source.line}:${source.column}` : '';
+  const stack = error.componentStack || [];
+
+  return `
+    <section class="fml-overlay-error">
+      <p class="fml-overlay-code">${index > 0 ? `${index + 1}. ` : ''}${escapeHtml(code)}</p>
+      <h2 class="fml-overlay-message">${escapeHtml(message)}</h2>
+      ${source ? `
+        <p class="fml-overlay-file">
+          <code>${escapeHtml(relativeFile + position)}</code>
+          <a href="${escapeHtml(getEditorUrl(source))}">Open in editor</a>
+          <a href="${escapeHtml('file://' + encodeURI(source.file))}">Open file</a>
+        </p>
+        ${source.line ? renderCodeFrame(source.file, source.line, source.column) : ''}
+      ` : ''}
+      ${stack.length > 0 ? `
+        <p class="fml-overlay-label">Component stack</p>
+        <ol class="fml-overlay-components">${stack.slice().reverse().map(name => `<li>&lt;${escapeHtml(name)}&gt;</li>`).join('')}</ol>
+      ` : ''}
+      <details>
+        <summary>Stack trace</summary>
+        <pre>${escapeHtml(error.stack || '')}</pre>
+      </details>
+    </section>
+  `;
+}
+
+/**
+ * Full-screen development overlay for one or more errors. Dismissable, so a
+ * page that rendered around failed components can still be inspected.
+ * @param {Error[]} errors
+ * @param {{ errorId?: string, timestamp?: string, context?: Object }} info
+ */
+export function renderErrorOverlay(errors, info = {}) {
+  const { errorId, timestamp = new Date().toISOString(), context = {} } = info;
+  const title = errors.length === 1 ? '1 error' : `${errors.length} errors`;
+
+  return `
+    <div class="fml-error-overlay" role="dialog" aria-modal="true" aria-label="Render error"${errorId ? ` data-error-id="${errorId}"` : ''}>
+      <style>
+        .fml-error-overlay { position: fixed; inset: 0; z-index: 2147483647; overflow: auto; padding: 32px; background: rgba(17, 24, 39, 0.92); color: #f9fafb; font: 14px/1.5 system-ui, sans-serif; text-align: left; }
+        .fml-error-overlay .fml-overlay-panel { max-width: 960px; margin: 0 auto; background: #1f2937; border-top: 4px solid #ef4444; border-radius: 8px; padding: 24px; box-shadow: 0 20px 40px rgba(0, 0, 0, 0.4); }
+        .fml-error-overlay header { display: flex; justify-content: space-between; align-items: center; color: #9ca3af; }
+        .fml-error-overlay button { background: none; border: 1px solid #4b5563; border-radius: 4px; color: #f9fafb; padding: 4px 10px; cursor: pointer; }
+        .fml-error-overlay section + section { margin-top: 24px; padding-top: 24px; border-top: 1px solid #374151; }
+        .fml-error-overlay .fml-overlay-code { margin: 16px 0 4px; color: #f87171; font: 600 12px ui-monospace, monospace; letter-spacing: 0.05em; }
+        .fml-error-overlay .fml-overlay-message { margin: 0 0 12px; font-size: 20px; white-space: pre-wrap; }
+        .fml-error-overlay .fml-overlay-file a { margin-left: 12px; color: #93c5fd; }
+        .fml-error-overlay pre { margin: 8px 0 0; padding: 12px; overflow-x: auto; background: #111827; border-radius: 4px; font: 12px/1.6 ui-monospace, monospace; white-space: pre; tab-size: 2; }
+        .fml-error-overlay .fml-frame-error { color: #fca5a5; font-weight: 600; }
+        .fml-error-overlay .fml-frame-caret { color: #ef4444; }
+        .fml-error-overlay .fml-overlay-label { margin: 16px 0 4px; color: #9ca3af; }
+        .fml-error-overlay .fml-overlay-components { margin: 0; padding-left: 24px; font-family: ui-monospace, monospace; }
+        .fml-error-overlay summary { margin-top: 16px; color: #9ca3af; cursor: pointer; }
+      </style>
+      <div class="fml-overlay-panel">
+        <header>
+          <span>⚠️ ${title}${errorId ? ` · <code>${errorId}</code>` : ''}</span>
+          <button type="button" onclick="this.closest('.fml-error-overlay').remove()">Dismiss (Esc)</button>
+        </header>
+        ${errors.map(renderErrorSection).join('')}
+        ${Object.keys(context).length > 0 ? `
+          <details>
+            <summary>Context</summary>
+            <pre>${escapeHtml(JSON.stringify(context, null, 2))}</pre>
+          </details>
+        ` : ''}
+        <p style="margin: 16px 0 0; color: #6b7280; font-size: 12px;">${timestamp}</p>
+      </div>
+      <script>
+        document.addEventListener('keydown', function onKey(event) {
+          if (event.key !== 'Escape') return;
+          document.querySelectorAll('.fml-error-overlay').forEach(overlay => overlay.remove());
+          document.removeEventListener('keydown', onKey);
+        });
+      </script>
+    </div>
+  `;
+}
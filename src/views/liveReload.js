@@ -0,0 +1,218 @@
+// src/views/liveReload.js
+// Live Reload — Dev-only Server-Sent Events channel telling open pages to reload or swap stylesheets
+
+import path from 'path';
+import fs from 'fs';
+import crypto from 'crypto';
+import { debounce } from '../fml/utils/helpers.js';
+
+const isDevelopment = process.env.NODE_ENV === 'development';
+
+export const LIVE_RELOAD_PATH = '/_folonite/live-reload';
+
+const PUBLIC_DIR = path.resolve('./public');
+const HEARTBEAT_INTERVAL = 30000;
+
+// Editors save in several writes; changes this close together become one event
+const RELOAD_DEBOUNCE = 100;
+
+// === BROWSER CLIENT — Inlined into every dev page's <head> ===
+
+const CLIENT_SCRIPT = `(() => {
+  if (!window.EventSource || window.__FML_LIVE_RELOAD__) return;
+  window.__FML_LIVE_RELOAD__ = true;
+
+  let serverId = null;
+  const source = new EventSource('${LIVE_RELOAD_PATH}');
+
+  // A new server id after a reconnect means the server restarted
+  source.addEventListener('hello', event => {
+    const id = JSON.parse(event.data).id;
+    if (serverId && serverId !== id) location.reload();
+    serverId = id;
+  });
+
+  source.addEventListener('reload', event => {
+    console.log('🔄 [FML] ' + JSON.parse(event.data).file + ' changed, reloading');
+    location.reload();
+  });
+
+  source.addEventListener('css', event => {
+    const { file, href } = JSON.parse(event.data);
+    const links = Array.from(document.querySelectorAll('link[rel="stylesheet"]'))
+      .filter(link => new URL(link.href, location.href).pathname === href);
+    if (links.length === 0) return;
+
+    console.log('🎨 [FML] ' + file + ' changed, swapping stylesheet');
+    for (const link of links) {
+      // Keep the old sheet until the new one has loaded, so nothing flashes unstyled
+      const next = link.cloneNode();
+      const url = new URL(link.href, location.href);
+      url.searchParams.set('fml-t', Date.now());
+      next.href = url.href;
+      next.onload = next.onerror = () => link.remove();
+      link.after(next);
+    }
+  });
+})();`;
+
+// === LIVE RELOAD SERVER ===
+
+class LiveReloadServer {
+  constructor() {
+    this.clients = new Set(); // Open SSE responses
+    this.id = crypto.randomBytes(4).toString('hex'); // Changes on every server start
+    this.publicWatcher = null;
+    this.heartbeat = null;
+    this.pending = new Map(); // relative file → event name, flushed by the debounce
+    this.stats = { reloads: 0, cssSwaps: 0 };
+
+    this.flush = debounce(() => this.flushPending(), RELOAD_DEBOUNCE);
+  }
+
+  get enabled() {
+    return isDevelopment;
+  }
+
+  /**
+   * Accept an EventSource connection
+   */
+  connect(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      // no-transform keeps compression() from buffering the stream
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive'
+    });
+    res.write(`retry: 1000\n\n`);
+    this.send(res, 'hello', { id: this.id });
+
+    this.clients.add(res);
+    req.on('close', () => this.clients.delete(res));
+
+    this.heartbeat ??= setInterval(() => {
+      for (const client of this.clients) client.write(': ping\n\n');
+    }, HEARTBEAT_INTERVAL).unref();
+  }
+
+  send(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  broadcast(event, data) {
+    for (const client of this.clients) {
+      this.send(client, event, data);
+    }
+  }
+
+  /**
+   * A page, layout, loader or component changed: every open page reloads
+   */
+  reload(filePath) {
+    this.queue(filePath, 'reload');
+  }
+
+  /**
+   * A stylesheet under public/ changed: pages using it swap it in place
+   */
+  updateStylesheet(filePath) {
+    this.queue(filePath, 'css');
+  }
+
+  queue(filePath, event) {
+    if (!this.enabled) return;
+    const file = path.relative(process.cwd(), path.resolve(filePath)).replace(/\\/g, '/');
+    this.pending.set(file, event);
+    this.flush();
+  }
+
+  flushPending() {
+    const changes = Array.from(this.pending);
+    this.pending.clear();
+
+    // One reload covers every other change in the batch
+    const reload = changes.find(([, event]) => event === 'reload');
+    if (reload) {
+      this.stats.reloads++;
+      this.broadcast('reload', { file: reload[0] });
+      return;
+    }
+
+    for (const [file] of changes) {
+      this.stats.cssSwaps++;
+      const href = '/' + path.relative(PUBLIC_DIR, path.resolve(file)).replace(/\\/g, '/');
+      this.broadcast('css', { file, href });
+    }
+  }
+
+  /**
+   * Watch public/ — CSS hot-swaps, any other asset reloads the page.
+   * Pages and components are reported by their own watchers.
+   */
+  watchPublic() {
+    if (this.publicWatcher || !fs.existsSync(PUBLIC_DIR)) return;
+
+    try {
+      this.publicWatcher = fs.watch(PUBLIC_DIR, { recursive: true }, (eventType, filename) => {
+        if (!filename) return;
+        const filePath = path.join(PUBLIC_DIR, filename);
+        if (filename.endsWith('.css')) {
+          this.updateStylesheet(filePath);
+        } else {
+          this.reload(filePath);
+        }
+      });
+      console.log(`📁 Watching: ${path.relative(process.cwd(), PUBLIC_DIR)}/ for live reload`);
+    } catch (error) {
+      console.warn(`⚠️ Live reload cannot watch ${PUBLIC_DIR}:`, error.message);
+    }
+  }
+
+  /**
+   * Inline <script> for the page head (development only)
+   */
+  getClientScript() {
+    return `<script>${CLIENT_SCRIPT}</script>`;
+  }
+
+  getStats() {
+    return {
+      enabled: this.enabled,
+      clients: this.clients.size,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Close open streams so the HTTP server can shut down
+   */
+  close() {
+    this.publicWatcher?.close();
+    this.publicWatcher = null;
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+
+    for (const client of this.clients) client.end();
+    this.clients.clear();
+  }
+}
+
+export const liveReload = new LiveReloadServer();
+
+/**
+ * Mount the live reload stream (development only). Must run before the page wildcard.
+ */
+export function registerLiveReloadRoutes(app) {
+  if (!liveReload.enabled) return;
+
+  app.get(LIVE_RELOAD_PATH, (req, res) => liveReload.connect(req, res));
+  liveReload.watchPublic();
+}
+
+export function shutdown() {
+  liveReload.close();
+}
+
+// Auto-cleanup on exit
+process.on('SIGTERM', shutdown);
+process.on('SIGINT', shutdown);
@@ -7,8 +7,10 @@ import { pathToFileURL } from 'url';
 import crypto from 'crypto';
 
 // Direct FML imports (no lazy loading)
-import { processFML, validateFML, FMLParser } from '../fml/index.js';
+import { processFML, validateFML, FMLParser, readPropsSchema, invalidateTemplateCache } from '../fml/index.js';
 import { fmlStats, createTimer, debounce } from '../fml/utils/helpers.js';
+import { liveReload } from './liveReload.js';
+import { reportRenderError } from '../fml/renderer/errors.js';
 
 // === CORE REGISTRY ===
 export const components = {};
@@ -213,6 +215,7 @@ const validator = new ComponentValidator({
 class ComponentVersionManager {
   constructor() {
     this.versions = new Map(); // name → { version, timestamp }
+    this.registryVersion = null; // Memoized getRegistryVersion(), reset on every change
   }
 
   generateVersion(content, filePath) {
@@ -223,6 +226,7 @@ class ComponentVersionManager {
 
   setVersion(name, version) {
     this.versions.set(name, { version, timestamp: Date.now() });
+    this.registryVersion = null;
   }
 
   hasChanged(name, newVersion) {
@@ -241,6 +245,23 @@ class ComponentVersionManager {
     }
     return obj;
   }
+
+  /**
+   * One version for the whole registry, changing whenever any component does.
+   * Compiled templates hold component functions, so it keys their cache.
+   */
+  getRegistryVersion() {
+    if (!this.registryVersion) {
+      const versions = Array.from(this.versions, ([name, { version }]) => `${name}@${version}`).sort().join(',');
+      this.registryVersion = crypto.createHash('md5').update(versions).digest('hex').slice(0, 8);
+    }
+    return this.registryVersion;
+  }
+
+  clear() {
+    this.versions.clear();
+    this.registryVersion = null;
+  }
 }
 
 const versionManager = new ComponentVersionManager();
@@ -452,6 +473,8 @@ export async function registerComponents(debug = false, options = {}) {
           logDebug(`Hot reloading: ${componentName}`, 'info');
           await processComponentFile(filePath, relativePath);
           stats.reloaded++;
+          invalidateTemplateCache();
+          liveReload.reload(filePath);
         });
       }
 
@@ -526,18 +549,27 @@ export async function registerComponents(debug = false, options = {}) {
         }
       }
 
+      // <Props> declaration: call sites are checked against it, the renderer fills in defaults
+      const propTypes = readPropsSchema(content);
+
       const fmlComponent = async (props = {}) => {
         const renderTiming = performanceMonitor.startTiming(componentName, 'render');
         try {
+          // Rendered to a string: a <Suspense> in here resolves inline, it doesn't stream
           return await processFML(content, {
             mode: 'server',
             props,
             components,
             debug: debug && isDevelopment,
-            phase2: true
+            phase2: true,
+            // <Slot /> outlets in the template: named slots plus the children as default
+            slots: { ...props.slots, ...(props.children != null && { default: props.children }) },
+            filePath,
+            componentVersion: versionManager.getRegistryVersion()
           });
         } catch (error) {
           console.error(`Error rendering FML component "${componentName}":`, error);
+          reportRenderError(error, { componentStack: [componentName], filePath });
           return isDevelopment
             ? `<div class="component-error" data-component="${componentName}">
                  ❌ Error rendering ${componentName}: ${error.message}
@@ -552,6 +584,7 @@ export async function registerComponents(debug = false, options = {}) {
       fmlComponent._filePath = filePath;
       fmlComponent._componentName = componentName;
       fmlComponent._version = version;
+      fmlComponent.propTypes = propTypes;
 
       components[componentName] = fmlComponent;
       componentMetadata.set(componentName, {
@@ -721,7 +754,8 @@ export function getComponentDetails() {
       version: version || 'unknown',
       registrationTime: meta?.registrationTime,
       dependencies: deps,
-      paramCount: typeof component === 'function' ? component.length : 0
+      paramCount: typeof component === 'function' ? component.length : 0,
+      propTypes: component.propTypes || null
     };
   }
   return details;
@@ -746,6 +780,13 @@ export function getComponentNames() {
   return Object.keys(components);
 }
 
+/**
+ * Version of the registry as a whole, for processFML's `componentVersion` option
+ */
+export function getComponentSetVersion() {
+  return versionManager.getRegistryVersion();
+}
+
 export function getComponentsByType(type) {
   const filtered = {};
   for (const [name, component] of Object.entries(components)) {
@@ -762,7 +803,7 @@ export function clearComponents() {
   dependencyGraph.clear();
   performanceMetrics.clear();
   hotReloadManager.unwatchAll();
-  versionManager.versions.clear();
+  versionManager.clear();
   console.log(` Cleared ${count} components and metadata`);
   return count;
 }
@@ -792,6 +833,7 @@ export async function reloadComponent(componentName) {
     }
 
     versionManager.setVersion(componentName, version);
+    invalidateTemplateCache();
     console.log(` Component "${componentName}" reloaded successfully`);
     return true;
   } catch (error) {
@@ -6,10 +6,18 @@ import fs from 'fs';
 import { Readable } from 'stream';
 import { pathToFileURL } from 'url';
 import crypto from 'crypto';
-import { components } from './registerComponents.js';
+import { components, getComponentSetVersion } from './registerComponents.js';
+import { routeTable } from '../router.js';
 
 // Direct FML imports (no lazy loading)
-import { processFML, validateFML, FMLParser } from '../fml/index.js';
+import { processFML, validateFML, FMLParser, invalidateTemplateCache } from '../fml/index.js';
+import { HeadManager, runWithHead } from '../fml/renderer/head.js';
+import { getIslandStats } from '../fml/renderer/islands.js';
+import { clientRuntime, RUNTIME_PATH } from '../fml/renderer/runtime.js';
+import { liveReload } from './liveReload.js';
+import { renderErrorOverlay } from './errorOverlay.js';
+import { runWithRenderErrors, reportRenderError } from '../fml/renderer/errors.js';
+import { getIncludedFiles } from '../fml/compiler/partials.js';
 import { fmlStats, createTimer, debounce } from '../fml/utils/helpers.js';
 
 // Environment detection
@@ -17,6 +25,10 @@ const isDevelopment = process.env.NODE_ENV === 'development';
 const enableCaching = !isDevelopment;
 const enableWatching = isDevelopment;
 
+// Layouts and pages opt into client-side navigation with
+// <meta name="fml-router" content="hover|viewport|none"> (content = prefetch mode)
+const CLIENT_ROUTER_HEAD_KEY = 'meta:name:fml-router';
+
 // === CACHING SYSTEM — High-Performance LRU + TTL ===
 
 class RenderCache {
@@ -31,7 +43,7 @@ class RenderCache {
   generateKey(pageName, options = {}, fileStats = {}) {
     const optionsHash = crypto
       .createHash('md5')
-      .update(JSON.stringify(options, Object.keys(options).sort()))
+      .update(JSON.stringify(Object.keys(options).sort().map(key => [key, options[key]])))
       .digest('hex')
       .slice(0, 8);
 
@@ -112,6 +124,27 @@ class RenderCache {
     return removed;
   }
 
+  /**
+   * Drop every entry rendered from a given page or layout file — one dynamic
+   * route file backs many cache keys, so key patterns are not enough
+   */
+  invalidateFile(filePath) {
+    const normalizedPath = path.resolve(filePath);
+    let removed = 0;
+
+    for (const [key, entry] of this.cache.entries()) {
+      const { filePath: pagePath, dependencies = [] } = entry.metadata || {};
+      if (pagePath === normalizedPath || dependencies.includes(normalizedPath)) {
+        this.cache.delete(key);
+        this.accessOrder = this.accessOrder.filter(k => k !== key);
+        removed++;
+      }
+    }
+
+    this.stats.invalidations += removed;
+    return removed;
+  }
+
   clear() {
     const size = this.cache.size;
     this.cache.clear();
@@ -254,6 +287,15 @@ class ErrorBoundary {
           : this.renderProduction();
       },
 
+      /**
+       * For errors that took the whole page down: the full-screen overlay in development
+       */
+      renderPage() {
+        return isDevelopment
+          ? renderErrorOverlay([error], { errorId, timestamp, context })
+          : this.renderProduction();
+      },
+
       renderDevelopment() {
         const escapedMessage = escapeHtml(error.message);
         const escapedStack = escapeHtml(error.stack || '');
@@ -333,18 +375,16 @@ class ErrorBoundary {
 
 // Helper: Escape HTML for XSS safety in dev errors
 function escapeHtml(str) {
-  return str
+  return String(str)
     .replace(/&/g, '&amp;')
-    .replace(/</g, '<')
-    .replace(/>/g, '>')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
     .replace(/"/g, '&quot;')
     .replace(/'/g, '&#x27;');
 }
 
 // === FILE UTILITIES ===
 
-// === FILE UTILITIES ===
-
 function getFileStats(filePath) {
   try {
     const stats = fs.statSync(filePath);
@@ -358,57 +398,189 @@ function getFileStats(filePath) {
   }
 }
 
+/**
+ * Resolve a page name through the route table, e.g. "products/42" → products/[id].js
+ */
 function findPageFile(pageName) {
-  const basePath = path.resolve('./src/pages');
-  
-  // Try multiple possible file locations
-  const possiblePaths = [
-    // Direct file with .fml extension
-    path.join(basePath, `${pageName}.fml`),
-    // Direct file with .js extension
-    path.join(basePath, `${pageName}.js`),
-    // Nested directory with index.fml
-    path.join(basePath, pageName, 'index.fml'),
-    // Nested directory with index.js
-    path.join(basePath, pageName, 'index.js')
-  ];
+  const match = routeTable.match(pageName);
+  if (!match) return null;
 
-  // Check each path in order of precedence
-  for (const filePath of possiblePaths) {
-    const stats = getFileStats(filePath);
-    if (stats.exists) {
-      // Determine type from file extension
-      const type = filePath.endsWith('.fml') ? 'fml' : 'js';
-      return { path: filePath, type, stats };
-    }
+  const { route, params } = match;
+  return {
+    path: route.path,
+    type: route.type,
+    stats: getFileStats(route.path),
+    route: route.pattern,
+    layouts: route.layouts || [],
+    dataPath: route.dataPath || null,
+    params
+  };
+}
+
+/**
+ * Every file whose change should invalidate this page's cached HTML.
+ * Partials are known once the page and its layouts have been compiled.
+ */
+function getPageDependencies(fileInfo) {
+  const partials = [fileInfo.path, ...fileInfo.layouts].flatMap(file => getIncludedFiles(file));
+  return [...new Set([
+    ...fileInfo.layouts,
+    ...(fileInfo.dataPath ? [fileInfo.dataPath] : []),
+    ...partials
+  ])];
+}
+
+/**
+ * Hot reload: watch the page, its loader, layouts and included partials
+ */
+function watchPageFiles(fileInfo) {
+  for (const watchedPath of [fileInfo.path, ...getPageDependencies(fileInfo)]) {
+    fileWatcher.watch(watchedPath, (changedPath) => {
+      const relativePath = path.relative(process.cwd(), changedPath);
+      console.log(`🔄 File changed: ${relativePath}, invalidating cache`);
+      renderCache.invalidateFile(changedPath);
+      routeTable.invalidate();
+      invalidateTemplateCache();
+      liveReload.reload(changedPath);
+    });
   }
+}
 
-  return null;
+// === DATA LOADERS — load({ params, query, request }) ===
+
+/**
+ * Resolve the route and run its data loader, if any.
+ * JS pages export `load`; FML pages use a sibling `<page>.data.js`
+ * exporting `load` (or a default function). The loader's result becomes
+ * the page props; `{ notFound: true }` renders the 404 page and
+ * `{ redirect: '/path' }` (or `{ redirect: { destination, permanent, statusCode } }`)
+ * answers with a redirect instead of rendering.
+ * @returns {Promise<{ fileInfo: Object, props?: Object, data?: Object|null, redirect?: Object }>}
+ */
+async function preparePage(pageName, options = {}, request = null) {
+  if (!pageName || typeof pageName !== 'string') {
+    throw new Error('Page name must be a non-empty string');
+  }
+
+  const fileInfo = findPageFile(pageName);
+  if (!fileInfo) {
+    throw createHttpError(404, `Page not found: ${pageName} (no matching route in src/pages)`, 'PAGE_NOT_FOUND');
+  }
+
+  const loader = await findPageLoader(fileInfo);
+  if (!loader) {
+    return { fileInfo, props: withRouteParams(options, fileInfo), data: null };
+  }
+
+  const { development, ...query } = options;
+  const result = await loader({
+    params: fileInfo.params,
+    query: request?.query ?? query,
+    request
+  });
+
+  if (result?.notFound) {
+    throw createHttpError(404, `Page not found: ${pageName} (loader returned notFound)`, 'PAGE_NOT_FOUND');
+  }
+
+  if (result?.redirect) {
+    return { fileInfo, redirect: normalizeRedirect(result.redirect) };
+  }
+
+  if (result != null && (typeof result !== 'object' || Array.isArray(result))) {
+    throw new Error(`Data loader for "${pageName}" must return an object, got ${Array.isArray(result) ? 'array' : typeof result}`);
+  }
+
+  const data = result || {};
+  return { fileInfo, props: withRouteParams(data, fileInfo), data };
+}
+
+async function findPageLoader(fileInfo) {
+  const loaderPath = fileInfo.type === 'js' ? fileInfo.path : fileInfo.dataPath;
+  if (!loaderPath) return null;
+
+  const loaderModule = await importPageModule(loaderPath);
+  const loader = fileInfo.type === 'js'
+    ? loaderModule.load
+    : loaderModule.load || loaderModule.default;
+
+  if (loader !== undefined && typeof loader !== 'function') {
+    throw new Error(`Data loader in ${path.relative(process.cwd(), loaderPath)} must be a function`);
+  }
+
+  return loader || null;
+}
+
+function normalizeRedirect(redirect) {
+  if (typeof redirect === 'string') {
+    return { location: redirect, statusCode: 302 };
+  }
+
+  const location = redirect.destination || redirect.location;
+  if (!location) {
+    throw new Error('Loader redirect requires a destination');
+  }
+
+  return {
+    location,
+    statusCode: redirect.statusCode || (redirect.permanent ? 301 : 302)
+  };
+}
+
+function buildRedirectPage(redirect) {
+  const location = escapeHtml(redirect.location);
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8">
+    <meta http-equiv="refresh" content="0; url=${location}">
+    <title>Redirecting…</title>
+  </head>
+  <body>
+    <p>Redirecting to <a href="${location}">${location}</a></p>
+  </body>
+</html>`;
+}
+
+/**
+ * Matched params are exposed both spread and as a `params` object,
+ * so `ProductPage(params)` and `{params.id}` work alike
+ */
+function withRouteParams(options, fileInfo) {
+  return { ...options, ...fileInfo.params, params: fileInfo.params };
 }
 
 // === MAIN RENDER FUNCTION ===
 
 /**
  * Enhanced renderPage with FML support, caching, hot reload, and streaming
+ * @returns {Promise<string>} Full HTML document (error pages included)
  */
-export async function renderPage(pageName, options = {}) {
+export async function renderPage(pageName, options = {}, request = null) {
+  const { html } = await renderPageResponse(pageName, options, request);
+  return html;
+}
+
+/**
+ * Same as renderPage, but also reports the HTTP status the document should be
+ * sent with, and the redirect target when the page's loader asked for one
+ * @returns {Promise<{ html: string, statusCode: number, redirect?: { location: string, statusCode: number } }>}
+ */
+export async function renderPageResponse(pageName, options = {}, request = null) {
   const timer = createTimer('RenderPage');
 
   try {
-    // Validate input
-    if (!pageName || typeof pageName !== 'string') {
-      throw new Error('Page name must be a non-empty string');
-    }
+    // Find the page file and run its loader
+    const { fileInfo, props: pageOptions, data, redirect } = await preparePage(pageName, options, request);
+    timer.mark('Page Prepared');
 
-    // Find the page file
-    const fileInfo = findPageFile(pageName);
-    if (!fileInfo) {
-      throw new Error(`Page not found: ${pageName} (checked .fml and .js files)`);
+    if (redirect) {
+      return { html: buildRedirectPage(redirect), statusCode: redirect.statusCode, redirect };
     }
 
-    // Generate cache key
+    // Pages with a loader render from its output, so that is what the cache keys on
     const cacheKey = enableCaching
-      ? renderCache.generateKey(pageName, options, fileInfo.stats)
+      ? renderCache.generateKey(pageName, data ?? options, fileInfo.stats)
       : null;
 
     // Try cache first
@@ -416,81 +588,188 @@ export async function renderPage(pageName, options = {}) {
       const cached = renderCache.get(cacheKey);
       if (cached) {
         timer.mark('Cache Hit');
-        return cached;
+        return { html: cached, statusCode: 200 };
       }
     }
 
-    // Setup file watching for hot reload
-    if (enableWatching) {
-      fileWatcher.watch(fileInfo.path, (changedPath) => {
-        const relativePath = path.relative(process.cwd(), changedPath);
-        console.log(`🔄 File changed: ${relativePath}, invalidating cache`);
-        renderCache.invalidate(pageName);
-      });
-    }
+    // Setup file watching for hot reload (the page, its loader and every layout wrapping it)
+    if (enableWatching) watchPageFiles(fileInfo);
 
     // Render based on file type
-    let html;
-    if (fileInfo.type === 'fml') {
-      html = await renderFMLPage(fileInfo.path, pageName, options, timer);
-    } else {
-      html = await renderJSPage(fileInfo.path, pageName, options, timer);
-    }
+    const html = await renderWithErrorOverlay(() => fileInfo.type === 'fml'
+      ? renderFMLPage(fileInfo.path, pageName, pageOptions, timer, fileInfo.layouts)
+      : renderJSPage(fileInfo.path, pageName, pageOptions, timer, fileInfo.layouts));
+
+    // Partials the render included (already-watched files are skipped)
+    if (enableWatching) watchPageFiles(fileInfo);
 
     // Cache the result
     if (enableCaching && cacheKey && html) {
       renderCache.set(cacheKey, html, {
         pageName,
         type: fileInfo.type,
+        filePath: fileInfo.path,
+        dependencies: getPageDependencies(fileInfo),
+        route: fileInfo.route,
         renderTime: timer.mark('Render Complete')
       });
     }
 
-    return html;
+    return { html, statusCode: 200 };
 
   } catch (error) {
     timer.mark('Error');
+    const statusCode = error.statusCode || 500;
 
-    // Track error stats
-    if (fmlStats) {
+    // Track error stats (a missing page is not a render failure)
+    if (fmlStats && statusCode >= 500) {
       fmlStats.incrementError();
     }
 
-    const errorBoundary = ErrorBoundary.create(error, {
+    return renderErrorPage(statusCode, error, options, request, {
       pageName,
-      options,
       renderTime: timer.end()
     });
+  }
+}
+
+// === ERROR PAGES — src/pages/404 and src/pages/_error ===
+
+/**
+ * Render the app's 404 / _error page through the root layouts, falling back
+ * to the built-in not-found page or ErrorBoundary when none exists (or it fails)
+ * @returns {Promise<{ html: string, statusCode: number }>}
+ */
+export async function renderErrorPage(statusCode, error, options = {}, request = null, context = {}) {
+  const requestPath = request?.path || (context.pageName ? `/${context.pageName}` : '/');
+  const isNotFound = statusCode === 404;
+
+  // Server errors are logged once, with an id the error page can show
+  const boundary = isNotFound
+    ? null
+    : ErrorBoundary.create(error, { ...context, path: requestPath, statusCode });
+
+  const errorPage = isNotFound
+    ? routeTable.getSpecialPage('notFound') || routeTable.getSpecialPage('error')
+    : routeTable.getSpecialPage('error');
+
+  if (errorPage) {
+    const pageOptions = {
+      ...options,
+      statusCode,
+      path: requestPath,
+      error: {
+        message: isNotFound || isDevelopment ? error.message : 'Internal Server Error',
+        code: error.code || null,
+        statusCode,
+        id: boundary?.errorId || null,
+        stack: isDevelopment ? error.stack : undefined
+      }
+    };
 
-    return buildHtmlPage(pageName, errorBoundary.render(), null, 'error');
+    try {
+      const timer = createTimer('RenderErrorPage');
+      const pageName = isNotFound && errorPage.pattern === '404' ? '404' : 'error';
+      const html = errorPage.type === 'fml'
+        ? await renderFMLPage(errorPage.path, pageName, pageOptions, timer, errorPage.layouts)
+        : await renderJSPage(errorPage.path, pageName, pageOptions, timer, errorPage.layouts);
+
+      // The app's error page still gets the overlay in development
+      return { html: boundary && isDevelopment ? injectErrorOverlay(html, boundary.renderPage()) : html, statusCode };
+    } catch (renderError) {
+      console.error(`Error page ${errorPage.file} failed to render:`, renderError.message);
+    }
   }
+
+  const body = isNotFound
+    ? renderDefaultNotFound(requestPath)
+    : boundary.renderPage();
+
+  return {
+    html: buildHtmlPage(isNotFound ? '404 - Page Not Found' : 'Error', body, null, 'error'),
+    statusCode
+  };
+}
+
+function renderDefaultNotFound(requestPath) {
+  return `
+    <div style="font-family: system-ui; padding: 40px; text-align: center;">
+      <h1>404 - Page Not Found</h1>
+      <p>The page <code>${escapeHtml(requestPath)}</code> could not be found.</p>
+      <p><strong>FML Support:</strong> Create <code>.fml</code> or <code>.js</code> files in <code>src/pages/</code>, or a custom <code>src/pages/404.fml</code></p>
+      <a href="/">Back to Home</a>
+      ${isDevelopment ? '<a href="/debug/fml" style="margin-left: 20px;">FML Debug</a>' : ''}
+    </div>
+  `;
+}
+
+/**
+ * Error carrying the HTTP status it should be answered with
+ */
+function createHttpError(statusCode, message, code) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  return error;
+}
+
+// === DEV ERROR OVERLAY ===
+
+/**
+ * In development, gather the errors components recovered from while `fn`
+ * runs into `errors`; elsewhere just run `fn`
+ */
+function collectRenderErrors(errors, fn) {
+  return isDevelopment ? runWithRenderErrors(errors, fn) : fn();
+}
+
+/**
+ * Render a full page, showing the overlay on top of it if any component failed
+ */
+async function renderWithErrorOverlay(render) {
+  const errors = [];
+  const html = await collectRenderErrors(errors, render);
+  return errors.length > 0 ? injectErrorOverlay(html, renderErrorOverlay(errors)) : html;
+}
+
+function injectErrorOverlay(html, overlay) {
+  const index = html.lastIndexOf('</body>');
+  return index === -1 ? html + overlay : html.slice(0, index) + overlay + html.slice(index);
 }
 
 // === FML RENDERING ===
 
-async function renderFMLPage(fmlPath, pageName, options = {}, timer) {
+async function renderFMLPage(fmlPath, pageName, options = {}, timer, layouts = []) {
   timer.mark('FML Start');
 
   try {
-    // Read FML content
-    const fmlContent = fs.readFileSync(fmlPath, 'utf-8');
-    timer.mark('File Read');
-
-    // Development validation
+    // Development validation reads the source; otherwise processFML reads it
+    // only when the build left no precompiled template for this page
+    let fmlContent = null;
     if (isDevelopment) {
+      fmlContent = fs.readFileSync(fmlPath, 'utf-8');
+      timer.mark('File Read');
       await validateFMLInDevelopment(fmlContent, pageName, timer);
     }
 
-    // Process FML content
-    const renderedContent = await processFML(fmlContent, {
+    // Process FML content, collecting its <Head> tags
+    const pageHead = new HeadManager();
+    const renderedContent = await runWithHead(pageHead, () => processFML(fmlContent, {
       mode: 'server',
       props: options,
       components: components,
       debug: isDevelopment,
-      phase2: true
-    });
+      phase2: true,
+      filePath: fmlPath,
+      componentVersion: getComponentSetVersion()
+    }));
     timer.mark('FML Processed');
 
+    const shells = await renderLayoutShells(layouts, options);
+    const head = collectHead(shells, pageHead);
+    const pageContent = wrapInLayouts(wrapRouteRegion(renderedContent, head, layouts), shells);
+    if (shells.length > 0) timer.mark('Layouts Applied');
+
     // Track performance
     const renderTime = timer.mark('Content Ready');
     if (fmlStats) {
@@ -499,21 +778,15 @@ async function renderFMLPage(fmlPath, pageName, options = {}, timer) {
 
     // Build final HTML
     const stylesheet = resolveStylesheetPath(pageName);
-    const html = buildHtmlPage(pageName, renderedContent, stylesheet, 'fml');
+    const html = buildHtmlPage(pageName, pageContent, stylesheet, 'fml', head);
     timer.mark('HTML Built');
 
     return html;
 
   } catch (error) {
     console.error(`FML render error for "${pageName}":`, error.message);
-
-    const errorBoundary = ErrorBoundary.create(error, {
-      pageName,
-      type: 'fml',
-      filePath: fmlPath
-    });
-
-    return buildHtmlPage(pageName, errorBoundary.render(), null, 'fml-error');
+    error.filePath ??= fmlPath;
+    throw error;
   }
 }
 
@@ -550,39 +823,61 @@ async function validateFMLInDevelopment(fmlContent, pageName, timer) {
 
 // === JS RENDERING (LEGACY) ===
 
-async function renderJSPage(jsPath, pageName, options = {}, timer) {
+async function renderJSPage(jsPath, pageName, options = {}, timer, layouts = []) {
   timer.mark('JS Start');
 
   try {
     const pageFunction = await loadPageModule(jsPath);
     timer.mark('Module Loaded');
 
-    const pageContent = pageFunction(options);
-    timer.mark('Function Called');
-
-    const renderedContent = replaceComponentPlaceholders(pageContent, pageName);
+    const { content: renderedContent, head: pageHead } = await renderJSModule(jsPath, pageFunction, options, pageName);
     timer.mark('Components Replaced');
 
+    const shells = await renderLayoutShells(layouts, options);
+    const head = collectHead(shells, pageHead);
+    const bodyContent = wrapInLayouts(wrapRouteRegion(renderedContent, head, layouts), shells);
+
     const stylesheet = resolveStylesheetPath(pageName);
-    const html = buildHtmlPage(pageName, renderedContent, stylesheet, 'js');
+    const html = buildHtmlPage(pageName, bodyContent, stylesheet, 'js', head);
     timer.mark('HTML Built');
 
     return html;
 
   } catch (error) {
-    const errorBoundary = ErrorBoundary.create(error, {
-      pageName,
-      type: 'js',
-      filePath: jsPath
-    });
-
-    return buildHtmlPage(pageName, errorBoundary.render(), null, 'js-error');
+    console.error(`JS render error for "${pageName}":`, error.message);
+    error.filePath ??= jsPath;
+    throw error;
   }
 }
 
+/**
+ * Import a page, layout or loader module; the mtime query re-imports it
+ * after an edit without creating a fresh module instance per request
+ */
+async function importPageModule(jsPath) {
+  const { mtime } = getFileStats(jsPath);
+  const pageUrl = pathToFileURL(jsPath).href + `?t=${mtime || Date.now()}`;
+  return import(pageUrl);
+}
+
+/**
+ * Call a JS page/layout function with a head collector active, then add its
+ * `head` export: an object, an HTML string, or a function of the page props
+ */
+async function renderJSModule(jsPath, pageFunction, options, name) {
+  const head = new HeadManager();
+  const content = await runWithHead(head, async () =>
+    replaceComponentPlaceholders(await pageFunction(options), name)
+  );
+
+  const { head: headExport } = await importPageModule(jsPath);
+  head.addObject(typeof headExport === 'function' ? await headExport(options) : headExport);
+
+  return { content, head };
+}
+
 async function loadPageModule(jsPath) {
-  const pageUrl = pathToFileURL(jsPath).href + `?t=${Date.now()}`;
-  const pageModule = await import(pageUrl);
+  const pageModule = await importPageModule(jsPath);
 
   if (!pageModule.default || typeof pageModule.default !== 'function') {
     throw new Error(`Page module does not export a default function`);
@@ -591,115 +886,349 @@ async function loadPageModule(jsPath) {
   return pageModule.default;
 }
 
-function replaceComponentPlaceholders(content, pageName) {
+/**
+ * Expand <Component name="X" props='{...}' /> markers in JS page output.
+ * Async components are awaited, all markers on the page concurrently.
+ */
+async function replaceComponentPlaceholders(content, pageName) {
   if (typeof content !== 'string') return content;
 
-  return content.replace(
-    /<Component\s+name="(\w+)"(?:\s+props='([^']*)')?\s*\/>/g,
-    (_, componentName, propsJson) => {
-      try {
-        const props = propsJson ? JSON.parse(propsJson) : {};
-        const component = components[componentName];
+  const pattern = /<Component\s+name="(\w+)"(?:\s+props='([^']*)')?\s*\/>/g;
+  const matches = Array.from(content.matchAll(pattern));
+  if (matches.length === 0) return content;
 
-        if (!component) {
-          throw new Error(`Component "${componentName}" not found`);
-        }
+  const outputs = await Promise.all(
+    matches.map(([, componentName, propsJson]) => renderPlaceholderComponent(componentName, propsJson, pageName))
+  );
 
-        const result = component(props);
-        if (typeof result !== 'string') {
-          throw new Error(`Component "${componentName}" did not return a string`);
-        }
-        return result;
-      } catch (error) {
-        console.error(`Error rendering component "${componentName}":`, error.message);
-
-        const errorBoundary = ErrorBoundary.create(error, {
-          componentName,
-          pageName,
-          props: propsJson
-        });
+  let index = 0;
+  return content.replace(pattern, () => outputs[index++]);
+}
 
-        return errorBoundary.render();
-      }
+async function renderPlaceholderComponent(componentName, propsJson, pageName) {
+  try {
+    const props = propsJson ? JSON.parse(propsJson) : {};
+    const component = components[componentName];
+
+    if (!component) {
+      throw new Error(`Component "${componentName}" not found`);
     }
-  );
+
+    const result = await component(props);
+    if (typeof result !== 'string') {
+      throw new Error(`Component "${componentName}" did not return a string`);
+    }
+    return result;
+  } catch (error) {
+    console.error(`Error rendering component "${componentName}":`, error.message);
+    reportRenderError(error, { componentStack: [componentName] });
+
+    const errorBoundary = ErrorBoundary.create(error, {
+      componentName,
+      pageName,
+      props: propsJson
+    });
+
+    return errorBoundary.render();
+  }
 }
 
-// === STREAMING SUPPORT — Memory-Efficient, Non-Blocking ===
+// === LAYOUTS — Nested _layout.fml / _layout.js Shells ===
 
-export function renderPageStream(pageName, options = {}) {
-  let fileInfo;
-  let timer;
+/**
+ * Render each layout around a unique marker and split it at the <Slot />,
+ * giving root-first { before, after } shells that also suit streaming
+ */
+async function renderLayoutShells(layouts = [], options = {}) {
+  const shells = [];
+  for (const layoutPath of layouts) {
+    shells.push(await renderLayoutShell(layoutPath, options));
+  }
+  return shells;
+}
 
-  return new Readable({
-    async read(size) {
-      try {
-        if (!fileInfo) {
-          timer = createTimer('StreamPage');
-          fileInfo = findPageFile(pageName);
+async function renderLayoutShell(layoutPath, options = {}) {
+  try {
+    return await splitLayoutShell(layoutPath, options);
+  } catch (error) {
+    error.filePath ??= layoutPath;
+    throw error;
+  }
+}
 
-          if (!fileInfo) {
-            throw new Error(`Page not found: ${pageName}`);
-          }
-        }
+async function splitLayoutShell(layoutPath, options) {
+  const marker = `<!--fml-slot:${crypto.randomBytes(6).toString('hex')}-->`;
+  let html;
+  let head;
 
-        if (fileInfo.type === 'fml') {
-          await this.streamFMLPage(fileInfo.path, pageName, options, timer);
-        } else {
-          await this.streamJSPage(fileInfo.path, pageName, options, timer);
-        }
-      } catch (error) {
-        console.error(`Error streaming page "${pageName}":`, error.message);
+  if (layoutPath.endsWith('.fml')) {
+    head = new HeadManager();
+    html = await runWithHead(head, () => processFML(null, {
+      mode: 'server',
+      props: options,
+      components: components,
+      debug: isDevelopment,
+      phase2: true,
+      slots: { default: marker },
+      filePath: layoutPath,
+      componentVersion: getComponentSetVersion()
+    }));
+  } else {
+    const layoutFunction = await loadPageModule(layoutPath);
+    ({ content: html, head } = await renderJSModule(
+      layoutPath,
+      layoutFunction,
+      { ...options, children: marker },
+      path.basename(layoutPath)
+    ));
+  }
 
-        const errorBoundary = ErrorBoundary.create(error, {
-          pageName,
-          streaming: true
-        });
+  html = String(html);
+  const index = html.indexOf(marker);
 
-        this.push(buildHtmlPage(pageName, errorBoundary.render(), null, 'stream-error'));
-        this.push(null);
-      }
+  if (index === -1) {
+    if (isDevelopment) {
+      console.warn(`⚠️  Layout ${path.relative(process.cwd(), layoutPath)} has no <Slot />, page content is appended after it`);
+    }
+    return { before: html, after: '', head };
+  }
+
+  return {
+    before: html.slice(0, index),
+    after: html.slice(index + marker.length),
+    head
+  };
+}
+
+/**
+ * Merge head tags root layout → inner layouts → page, so the page wins on conflicts
+ */
+function collectHead(shells, pageHead) {
+  const head = new HeadManager();
+  shells.forEach(shell => head.merge(shell.head));
+  return head.merge(pageHead);
+}
+
+/**
+ * With the client router on, the page region below the layouts is wrapped in
+ * <fml-page>, tagged with its layout chain, and the runtime is loaded. The
+ * router swaps just that region while the layout chain stays the same.
+ */
+function openRouteRegion(head, layouts) {
+  if (!head.has(CLIENT_ROUTER_HEAD_KEY)) return null;
+
+  head.add(`script:${RUNTIME_PATH}`, `<script type="module" src="${clientRuntime.getSrc()}"></script>`);
+
+  const layoutChain = layouts.map(layout => path.relative(process.cwd(), layout)).join('|');
+  const layoutId = crypto.createHash('md5').update(layoutChain).digest('hex').slice(0, 8);
+
+  return {
+    open: `<fml-page data-layout="${layoutId}" style="display:contents">`,
+    close: '</fml-page>'
+  };
+}
+
+function wrapRouteRegion(content, head, layouts) {
+  const region = openRouteRegion(head, layouts);
+  return region ? region.open + content + region.close : content;
+}
+
+function wrapInLayouts(content, shells) {
+  let html = content;
+  for (let i = shells.length - 1; i >= 0; i--) {
+    html = shells[i].before + html + shells[i].after;
+  }
+  return html;
+}
+
+// === STREAMING SUPPORT — Incremental, Backpressure-Aware ===
+
+/**
+ * Stream a page. The route and loader run eagerly: `stream.ready` resolves to
+ * `{ statusCode, redirect, error }` before any HTML is pushed, so callers can
+ * answer redirects and 404s instead of piping a 200.
+ *
+ * Chunks are pulled from the page generator one read() at a time, so a slow
+ * client holds rendering back instead of filling memory.
+ */
+export function renderPageStream(pageName, options = {}, request = null) {
+  const prepared = preparePage(pageName, options, request);
+  let chunks = null;
+
+  const stream = new Readable({
+    read() {
+      chunks ??= streamPage(pageName, prepared);
+      pullChunk();
     },
+    destroy(error, callback) {
+      // Client went away — let the generator unwind instead of rendering on
+      chunks?.return();
+      callback(error);
+    }
+  });
 
-    async streamFMLPage(fmlPath, pageName, options, timer) {
-      const fmlContent = fs.readFileSync(fmlPath, 'utf-8');
-      timer.mark('FML File Read');
+  const pullChunk = () => {
+    chunks.next().then(({ value, done }) => {
+      if (stream.destroyed) return;
+      if (done) {
+        stream.push(null);
+      } else if (value) {
+        stream.push(value);
+      } else {
+        pullChunk(); // Empty chunks would stall the stream without a push
+      }
+    }, error => stream.destroy(error));
+  };
 
-      // Stream HTML head
-      const stylesheet = resolveStylesheetPath(pageName);
-      this.push(buildHtmlPageHead(pageName, stylesheet, 'fml-stream'));
+  stream.ready = prepared.then(
+    page => ({ statusCode: page.redirect ? page.redirect.statusCode : 200, redirect: page.redirect || null, error: null }),
+    error => ({ statusCode: error.statusCode || 500, redirect: null, error })
+  );
+
+  return stream;
+}
+
+async function* streamPage(pageName, prepared) {
+  const timer = createTimer('StreamPage');
+  let page;
 
-      // Process and stream FML body
-      const renderedContent = await processFML(fmlContent, {
-        mode: 'server',
+  try {
+    page = await prepared;
+  } catch (error) {
+    yield renderStreamError(pageName, error);
+    return;
+  }
+
+  const { fileInfo, props: pageOptions, redirect } = page;
+  if (redirect) {
+    yield buildRedirectPage(redirect);
+    return;
+  }
+
+  if (fileInfo.type === 'fml') {
+    yield* streamFMLPage(fileInfo.path, pageName, pageOptions, timer, fileInfo.layouts);
+  } else {
+    yield* streamJSPage(fileInfo.path, pageName, pageOptions, timer, fileInfo.layouts);
+  }
+}
+
+function renderStreamError(pageName, error) {
+  console.error(`Error streaming page "${pageName}":`, error.message);
+
+  const errorBoundary = ErrorBoundary.create(error, {
+    pageName,
+    streaming: true
+  });
+
+  return buildHtmlPage(pageName, errorBoundary.renderPage(), null, 'stream-error');
+}
+
+async function* streamFMLPage(fmlPath, pageName, options, timer, layouts = []) {
+  let shells;
+  let body;
+  const pageHead = new HeadManager();
+  const renderErrors = [];
+
+  // Layouts and the page's synchronous pass run before the head is sent: a
+  // failure here still yields a single error document, and every <Head> tag
+  // outside async components is known by the time the head goes out
+  try {
+    ({ shells, body } = await collectRenderErrors(renderErrors, async () => ({
+      shells: await renderLayoutShells(layouts, options),
+      body: await runWithHead(pageHead, () => processFML(null, {
+        mode: 'stream',
         props: options,
         components: components,
         debug: isDevelopment,
-        phase2: true
-      });
+        phase2: true,
+        filePath: fmlPath,
+        componentVersion: getComponentSetVersion()
+      }))
+    })));
+  } catch (error) {
+    yield renderStreamError(pageName, error);
+    return;
+  }
 
-      timer.mark('FML Streamed');
-      this.push(renderedContent);
-      this.push(buildHtmlPageFooter());
-      this.push(null);
-    },
+  const stylesheet = resolveStylesheetPath(pageName);
+  const head = collectHead(shells, pageHead);
+  const region = openRouteRegion(head, layouts);
+  const flushedHead = new Set(pageHead.entries.keys());
+
+  yield buildHtmlPageHead(pageName, stylesheet, 'fml-stream', head);
+  timer.mark('Head Flushed');
 
-    async streamJSPage(jsPath, pageName, options, timer) {
+  // Layout chrome paints while the page's async components are still working
+  yield shells.map(shell => shell.before).join('') + (region ? region.open : '');
+
+  yield* streamBodyChunks(body.main, pageName, pageHead, flushedHead);
+
+  // Suspense boundaries stream after the layout's closing chrome, so footers
+  // and navigation don't wait for the slowest boundary
+  yield (region ? region.close : '') + shells.slice().reverse().map(shell => shell.after).join('');
+  yield* streamBodyChunks(body.boundaries, pageName, pageHead, flushedHead);
+  timer.mark('FML Streamed');
+
+  if (isDevelopment && pageHead.size > flushedHead.size) {
+    console.warn(`⚠️  <Head> tags from async components in "${pageName}" arrived after the streamed head and were dropped`);
+  }
+
+  if (renderErrors.length > 0) yield renderErrorOverlay(renderErrors);
+  yield buildHtmlPageFooter();
+}
+
+async function* streamBodyChunks(chunks, pageName, pageHead, flushedHead) {
+  try {
+    for await (const chunk of chunks) {
+      yield takeLateHeadTags(pageHead, flushedHead) + chunk;
+    }
+  } catch (error) {
+    // Head is already out — render the boundary inline instead of a second document
+    yield ErrorBoundary.create(error, { pageName, type: 'fml', streaming: true }).renderPage();
+  }
+}
+
+/**
+ * Scoped styles and scripts (the island runtime) that reached the head
+ * collector after the head was streamed (async components, Suspense
+ * boundaries), as inline tags to send ahead of the chunk using them.
+ * Their keys join `flushed`, so each goes out once.
+ */
+function takeLateHeadTags(head, flushed) {
+  let html = '';
+  for (const [key, tag] of head.entries) {
+    if ((key.startsWith('style:') || key.startsWith('script:')) && !flushed.has(key)) {
+      flushed.add(key);
+      html += tag;
+    }
+  }
+  return html;
+}
+
+async function* streamJSPage(jsPath, pageName, options, timer, layouts = []) {
+  let html;
+
+  try {
+    html = await renderWithErrorOverlay(async () => {
       const pageFunction = await loadPageModule(jsPath);
-      const pageContent = pageFunction(options);
-      const renderedContent = replaceComponentPlaceholders(pageContent, pageName);
+      const { content: renderedContent, head: pageHead } = await renderJSModule(jsPath, pageFunction, options, pageName);
+      const shells = await renderLayoutShells(layouts, options);
       timer.mark('JS Streamed');
 
       const stylesheet = resolveStylesheetPath(pageName);
-      this.push(buildHtmlPage(pageName, renderedContent, stylesheet, 'js-stream'));
-      this.push(null);
-    }
-  });
+      const head = collectHead(shells, pageHead);
+      return buildHtmlPage(pageName, wrapInLayouts(wrapRouteRegion(renderedContent, head, layouts), shells), stylesheet, 'js-stream', head);
+    });
+  } catch (error) {
+    html = renderStreamError(pageName, error);
+  }
+
+  yield html;
 }
 
 // === HTML BUILDING — Optimized Template Strings ===
 
-function buildHtmlPage(title, bodyContent, stylesheet, renderType = 'unknown') {
+function buildHtmlPage(title, bodyContent, stylesheet, renderType = 'unknown', head = null) {
   const devMeta = isDevelopment
     ? `\n        <!-- Rendered: ${renderType} | Time: ${new Date().toISOString()} -->`
     : '';
@@ -723,11 +1252,7 @@ function buildHtmlPage(title, bodyContent, stylesheet, renderType = 'unknown') {
   return `<!DOCTYPE html>
 <html lang="en">
   <head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    ${stylesheet ? `<link rel="stylesheet" href="${stylesheet}">` : ''}
-    <script defer src="/script.js"></script>
-    <title>${escapeHtml(title)}</title>${devMeta}
+    ${renderHeadTags(title, stylesheet, head)}${devMeta}
   </head>
   <body>
     ${bodyContent}
@@ -736,7 +1261,7 @@ function buildHtmlPage(title, bodyContent, stylesheet, renderType = 'unknown') {
 </html>`;
 }
 
-function buildHtmlPageHead(title, stylesheet, renderType = 'stream') {
+function buildHtmlPageHead(title, stylesheet, renderType = 'stream', head = null) {
   const devMeta = isDevelopment
     ? `\n        <!-- Streaming: ${renderType} -->`
     : '';
@@ -744,15 +1269,26 @@ function buildHtmlPageHead(title, stylesheet, renderType = 'stream') {
   return `<!DOCTYPE html>
 <html lang="en">
   <head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    ${stylesheet ? `<link rel="stylesheet" href="${stylesheet}">` : ''}
-    <script defer src="/script.js"></script>
-    <title>${escapeHtml(title)}</title>${devMeta}
+    ${renderHeadTags(title, stylesheet, head)}${devMeta}
   </head>
   <body>`;
 }
 
+/**
+ * Default head tags with the collected <Head> tags merged over them, so a page
+ * can replace the charset, viewport or fallback <title> (the page name)
+ */
+function renderHeadTags(title, stylesheet, head) {
+  const tags = new HeadManager();
+  tags.add('meta:charset', '<meta charset="UTF-8">');
+  tags.add('meta:name:viewport', '<meta name="viewport" content="width=device-width, initial-scale=1.0">');
+  if (stylesheet) tags.add(`link:stylesheet:${stylesheet}`, `<link rel="stylesheet" href="${stylesheet}">`);
+  tags.add('script:/script.js', '<script defer src="/script.js"></script>');
+  tags.add('title', `<title>${escapeHtml(title)}</title>`);
+  if (liveReload.enabled) tags.add('script:live-reload', liveReload.getClientScript());
+  return tags.merge(head).render();
+}
+
 function buildHtmlPageFooter() {
   return '</body></html>';
 }
@@ -792,6 +1328,10 @@ export function getRenderStats() {
   return {
     cache: renderCache.getStats(),
     watcher: fileWatcher.getStats(),
+    routes: routeTable.getStats(),
+    islands: getIslandStats(),
+    runtime: clientRuntime.getStats(),
+    liveReload: liveReload.getStats(),
     fml: fmlStats ? fmlStats.getStats() : null,
     memory: process.memoryUsage(),
     uptime: process.uptime(),
@@ -855,6 +1395,7 @@ export function shutdown() {
   console.log('Shutting down renderPage system...');
 
   fileWatcher.unwatchAll();
+  routeTable.unwatch();
   renderCache.clear();
 
   console.log('RenderPage system shutdown complete');
@@ -865,6 +1406,10 @@ if (isDevelopment) {
   enableDebugMode();
 }
 
+if (enableWatching) {
+  routeTable.watch();
+}
+
 // Cleanup on process exit
 process.on('SIGTERM', shutdown);
 process.on('SIGINT', shutdown);
\ No newline at end of file
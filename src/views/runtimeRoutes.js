@@ -0,0 +1,69 @@
+// src/views/runtimeRoutes.js
+// Client Runtime Assets — Serves the versioned FML browser runtime and island component code
+
+import path from 'path';
+import fs from 'fs';
+import { getComponentDetails } from './registerComponents.js';
+import { isIslandComponent } from '../fml/renderer/islands.js';
+import { clientRuntime, RUNTIME_PATH, RUNTIME_SOURCES } from '../fml/renderer/runtime.js';
+
+const FML_DIR = path.resolve('./src/fml');
+
+// Only reached when the runtime is served unbundled (no esbuild installed)
+const CLIENT_MODULES = new Set(RUNTIME_SOURCES);
+
+/**
+ * Mount the /_folonite runtime routes. Must run before the page wildcard.
+ */
+export function registerRuntimeRoutes(app) {
+  app.get(RUNTIME_PATH, async (req, res, next) => {
+    try {
+      const { version, code } = await clientRuntime.build();
+
+      // The versioned URL pages link to never changes; anything else revalidates
+      res.setHeader('Cache-Control', req.query.v === version
+        ? 'public, max-age=31536000, immutable'
+        : 'no-cache');
+      res.setHeader('ETag', `"${version}"`);
+      res.type('application/javascript').send(code);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.get('/_folonite/fml/*', (req, res, next) => {
+    const modulePath = req.params[0];
+    if (!CLIENT_MODULES.has(modulePath)) return next();
+    sendModule(res, path.join(FML_DIR, modulePath));
+  });
+
+  app.get('/_folonite/components/:name.js', (req, res, next) => {
+    const { name } = req.params;
+
+    // Never expose a component's source unless a page rendered it as an island
+    if (!isIslandComponent(name)) return next();
+
+    const details = getComponentDetails()[name];
+    if (!details || !fs.existsSync(details.filePath)) return next();
+
+    if (details.type === 'fml') {
+      const source = fs.readFileSync(details.filePath, 'utf-8');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.type('application/javascript').send(
+        `export const format = 'fml';\nexport default ${JSON.stringify(source)};\n`
+      );
+    } else {
+      sendModule(res, details.filePath);
+    }
+  });
+}
+
+function sendModule(res, filePath) {
+  // Revalidate on every load (ETag), so edited components are picked up
+  res.sendFile(filePath, {
+    headers: {
+      'Content-Type': 'application/javascript; charset=utf-8',
+      'Cache-Control': 'no-cache'
+    }
+  });
+}
@@ -0,0 +1,108 @@
+// test/fml/codegen.test.js
+// Ahead-of-time templates — generated modules render what the interpreter renders, and builds record their partials
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { FMLParser } from '../../src/fml/parser/parser.js';
+import { FMLCompiler } from '../../src/fml/compiler/compiler.js';
+import { generateModule } from '../../src/fml/compiler/codegen.js';
+import { compileTemplateFile, createManifest, hashTemplate } from '../../src/fml/compiler/aot.js';
+import { renderServer } from '../../src/fml/renderer/server.js';
+
+const components = {
+  Badge: ({ label }) => `<span class="badge">${label}</span>`
+};
+
+function compile(template) {
+  const ast = new FMLParser({ phase2: true }).parse(template);
+  return new FMLCompiler({ components, phase2: true }).compile(ast);
+}
+
+// Generated modules have no imports, so they load straight from their source
+function importModule(code) {
+  return import(`data:text/javascript;base64,${Buffer.from(code).toString('base64')}`);
+}
+
+/**
+ * Render a template through the interpreter and through its generated module
+ */
+async function renderBoth(template, props) {
+  const compiled = compile(template);
+  const { template: generated } = await importModule(generateModule(compiled));
+  return {
+    interpreted: await renderServer(compiled, props, { components, phase2: true }),
+    generated: await renderServer(generated, props, { components, phase2: true })
+  };
+}
+
+describe('generateModule', () => {
+  const cases = {
+    'static markup': ['<header><h1 class="title">Docs</h1></header>', {}],
+    'escaped interpolation and filters': ['<p title={title}>{title | upper} costs {price | currency("EUR")}</p>', {
+      title: '<b>Tea</b>',
+      price: 3
+    }],
+    'If, ElseIf and Else': ['<If condition={n > 1}><p>many</p><ElseIf condition={n === 1}><p>one</p></ElseIf><Else><p>none</p></Else></If>', { n: 1 }],
+    'keyed loops': ['<ul><For each={items} as="item" key={item.id}><li>{item.name}</li></For></ul>', {
+      items: [{ id: 1, name: 'a' }, { id: 2, name: 'b' }]
+    }],
+    'components': ['<div><Badge label={status} /></div>', { status: 'new' }]
+  };
+
+  for (const [name, [template, props]] of Object.entries(cases)) {
+    it(`renders ${name} like the interpreter`, async () => {
+      const { interpreted, generated } = await renderBoth(template, props);
+      assert.equal(generated, interpreted);
+      assert.notEqual(generated, '');
+    });
+  }
+
+  it('hoists static HTML into string constants', () => {
+    const code = generateModule(compile('<footer><p>Static</p></footer>'), { source: 'footer.fml', hash: 'abc' });
+    assert.match(code, /^\/\/ Generated from footer\.fml/);
+    assert.match(code, /const S0 = "<footer><p>Static<\/p><\/footer>";/);
+    assert.match(code, /export const hash = "abc";/);
+  });
+});
+
+describe('builds', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'folonite-aot-'));
+    fs.writeFileSync(path.join(dir, 'nav.fml'), '<nav>{label}</nav>');
+    fs.writeFileSync(path.join(dir, 'page.fml'), '<main><Include src="nav.fml" with={{ label: title }} /></main>');
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('compiles a template file with the hashes of its partials', async () => {
+    const result = compileTemplateFile(path.join(dir, 'page.fml'));
+    const navPath = path.relative(process.cwd(), path.join(dir, 'nav.fml')).replace(/\\/g, '/');
+
+    assert.equal(result.hash, hashTemplate(fs.readFileSync(path.join(dir, 'page.fml'), 'utf-8')));
+    assert.deepEqual(result.dependencies, { [navPath]: hashTemplate('<nav>{label}</nav>') });
+
+    const module = await importModule(result.code);
+    assert.equal(module.source, result.source);
+    assert.equal(await renderServer(module.template, { title: 'Home' }), '<main><nav>Home</nav></main>');
+  });
+
+  it('lists every generated module in the manifest', () => {
+    const result = compileTemplateFile(path.join(dir, 'page.fml'));
+    const outputDir = path.join(dir, 'dist');
+    const manifest = createManifest([result], outputDir);
+
+    assert.equal(manifest.version, 1);
+    assert.deepEqual(manifest.templates[result.source], {
+      module: `${result.source}.js`,
+      hash: result.hash,
+      dependencies: result.dependencies
+    });
+  });
+});
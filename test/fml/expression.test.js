@@ -0,0 +1,148 @@
+// test/fml/expression.test.js
+// FML expression parser — precedence, syntax errors, the property block-list and the method allow-list
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseExpression } from '../../src/fml/compiler/expression.js';
+import { resolveExpression } from '../../src/fml/compiler/compiler.js';
+
+function evaluate(source, context = {}) {
+  return resolveExpression(parseExpression(source), context);
+}
+
+function assertExpressionError(source, pattern) {
+  assert.throws(() => parseExpression(source), error => {
+    assert.equal(error.code, 'EXPRESSION_ERROR');
+    assert.match(error.message, pattern);
+    assert.equal(typeof error.position, 'number');
+    return true;
+  });
+}
+
+describe('precedence', () => {
+  it('binds * tighter than +', () => {
+    assert.equal(evaluate('1 + 2 * 3'), 7);
+    assert.equal(evaluate('(1 + 2) * 3'), 9);
+  });
+
+  it('makes ** right-associative', () => {
+    assert.equal(evaluate('2 ** 3 ** 2'), 512);
+  });
+
+  it('binds && tighter than ||', () => {
+    assert.equal(evaluate('a || b && c', { a: false, b: true, c: false }), false);
+  });
+
+  it('requires parentheses when mixing ?? with || or &&, as JavaScript does', () => {
+    assert.equal(evaluate('a ?? (b || c)', { a: null, b: false, c: 'c' }), 'c');
+    assertExpressionError('a ?? b || c', /Wrap \?\? in parentheses/);
+  });
+
+  it('evaluates comparisons before the conditional', () => {
+    assert.equal(evaluate('x > 1 ? "big" : "small"', { x: 2 }), 'big');
+    assert.equal(evaluate('x > 1 ? "big" : "small"', { x: 0 }), 'small');
+  });
+
+  it('applies unary operators before binary ones', () => {
+    assert.equal(evaluate('!a && b', { a: false, b: 1 }), 1);
+    assert.equal(evaluate('-x + 1', { x: 3 }), -2);
+  });
+
+  it('applies a pipe to the whole expression before it', () => {
+    assert.equal(evaluate('a || b | upper', { a: '', b: 'z' }), 'Z');
+  });
+});
+
+describe('member access', () => {
+  it('reads paths, indexes and optional chains', () => {
+    assert.equal(evaluate('user.name', { user: { name: 'Ada' } }), 'Ada');
+    assert.equal(evaluate('items[1]', { items: ['a', 'b'] }), 'b');
+    assert.equal(evaluate('user?.name', {}), undefined);
+  });
+});
+
+describe('syntax errors', () => {
+  it('reports incomplete expressions with a position', () => {
+    assertExpressionError('1 +', /Unexpected end of expression/);
+    assertExpressionError('a.b(', /Unexpected end of expression/);
+  });
+
+  it('rejects assignment', () => {
+    assertExpressionError('a = 1', /assignment is not allowed/);
+  });
+
+  it('rejects unsupported keywords', () => {
+    assertExpressionError('new Date()', /"new" is not supported/);
+    assertExpressionError('typeof x', /"typeof" is not supported/);
+  });
+
+  it('rejects unterminated strings and template literals', () => {
+    assertExpressionError('"open', /Unterminated string/);
+    assertExpressionError('`x`', /Template literals are not supported/);
+  });
+});
+
+describe('blocked properties', () => {
+  for (const name of ['constructor', '__proto__', 'prototype']) {
+    it(`rejects .${name} and ["${name}"]`, () => {
+      assertExpressionError(`user.${name}`, new RegExp(`"${name}" cannot be accessed`));
+      assertExpressionError(`user["${name}"]`, new RegExp(`"${name}" cannot be accessed`));
+    });
+  }
+
+  it('rejects the Function constructor escape', () => {
+    assertExpressionError('s.constructor.constructor("return process")()', /"constructor" cannot be accessed/);
+  });
+
+  it('resolves a computed blocked key to undefined', () => {
+    assert.equal(evaluate('user[key]', { user: {}, key: '__proto__' }), undefined);
+    assert.equal(evaluate('text[key]', { text: 'x', key: 'constructor' }), undefined);
+  });
+});
+
+describe('filter pipes', () => {
+  it('pipes a value through a filter with arguments', () => {
+    assert.equal(evaluate('name | truncate(3)', { name: 'abcdef' }), 'ab…');
+  });
+
+  it('chains filters left to right', () => {
+    assert.equal(evaluate('name | lower | upper', { name: 'aB' }), 'AB');
+  });
+
+  it('evaluates filter arguments as expressions', () => {
+    assert.equal(evaluate('name | truncate(size + 1)', { name: 'abcdef', size: 2 }), 'ab…');
+  });
+
+  it('does not read || as a pipe', () => {
+    assert.equal(evaluate('a || b', { a: '', b: 'z' }), 'z');
+  });
+
+  it('rejects a pipe without a filter name', () => {
+    assert.throws(() => parseExpression('name |'), { code: 'EXPRESSION_ERROR' });
+  });
+});
+
+describe('method calls', () => {
+  it('calls allow-listed methods', () => {
+    assert.equal(evaluate('name.toUpperCase()', { name: 'ab' }), 'AB');
+    assert.equal(evaluate('list.join("-")', { list: [1, 2] }), '1-2');
+    assert.equal(evaluate('price.toFixed(2)', { price: 1.5 }), '1.50');
+  });
+
+  it('calls functions the context provides', () => {
+    assert.equal(evaluate('double(2)', { double: x => x * 2 }), 4);
+    assert.equal(evaluate('format.money(1)', { format: { money: x => `$${x}` } }), '$1');
+    assert.deepEqual(evaluate('items.map(inc)', { items: [1, 2], inc: x => x + 1 }), [2, 3]);
+  });
+
+  it('does not call methods outside the allow-list', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const list = [];
+    assert.equal(evaluate('list.push(1)', { list }), undefined);
+    assert.deepEqual(list, []);
+
+    const date = new Date(0);
+    assert.equal(evaluate('date.setFullYear(2000)', { date }), undefined);
+    assert.equal(date.getTime(), 0);
+  });
+});
@@ -0,0 +1,106 @@
+// test/fml/filters.test.js
+// FML filters — built-ins, the registry, and unknown filters failing instead of passing values through
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseExpression } from '../../src/fml/compiler/expression.js';
+import { FMLCompiler, resolveExpression } from '../../src/fml/compiler/compiler.js';
+import { FMLParser } from '../../src/fml/parser/parser.js';
+import { validateFML } from '../../src/fml/parser/validator.js';
+import { renderServer } from '../../src/fml/renderer/server.js';
+import {
+  registerFilter,
+  unregisterFilter,
+  unregisterPluginFilters,
+  hasFilter
+} from '../../src/fml/compiler/filters.js';
+
+function evaluate(source, context = {}) {
+  return resolveExpression(parseExpression(source), context);
+}
+
+function render(template, props = {}) {
+  const ast = new FMLParser({ phase2: true }).parse(template);
+  return renderServer(new FMLCompiler({ phase2: true }).compile(ast), props, { phase2: true });
+}
+
+describe('built-in filters', () => {
+  it('formats currency and numbers with the fixed en-US locale', () => {
+    assert.equal(evaluate('price | currency("EUR")', { price: 12.5 }), '€12.50');
+    assert.equal(evaluate('count | number', { count: 1234567 }), '1,234,567');
+    assert.equal(evaluate('ratio | number(2)', { ratio: 0.5 }), '0.50');
+  });
+
+  it('formats dates and relative times', () => {
+    assert.equal(evaluate('day | date("long")', { day: new Date(2024, 0, 15) }), 'January 15, 2024');
+    assert.equal(evaluate('at | relativeTime', { at: Date.now() - 3 * 3600000 }), '3 hours ago');
+  });
+
+  it('returns values it cannot format unchanged', () => {
+    assert.equal(evaluate('price | currency("EUR")', { price: 'n/a' }), 'n/a');
+    assert.equal(evaluate('day | date', { day: 'not a date' }), 'not a date');
+  });
+
+  it('truncates, changes case and serializes', () => {
+    assert.equal(evaluate('text | truncate(5)', { text: 'abcdefgh' }), 'abcd…');
+    assert.equal(evaluate('text | truncate(10)', { text: 'short' }), 'short');
+    assert.equal(evaluate('text | upper', { text: 'ab' }), 'AB');
+    assert.equal(evaluate('data | json', { data: { a: 1 } }), '{"a":1}');
+  });
+});
+
+describe('registry', () => {
+  after(() => {
+    unregisterPluginFilters('test-plugin');
+    unregisterFilter('shout');
+  });
+
+  it('runs registered filters with their arguments', () => {
+    registerFilter('shout', (value, marks = 1) => `${value}${'!'.repeat(marks)}`);
+    assert.equal(evaluate('word | shout(3)', { word: 'hi' }), 'hi!!!');
+  });
+
+  it('rejects invalid names, non-functions and taken names', () => {
+    assert.throws(() => registerFilter('bad-name', v => v), /Invalid filter name/);
+    assert.throws(() => registerFilter('noop', 'not a function'), /must be a function/);
+    assert.throws(() => registerFilter('upper', v => v, 'test-plugin'), /already registered/);
+  });
+
+  it('removes every filter a plugin registered', () => {
+    registerFilter('pluginA', v => v, 'test-plugin');
+    registerFilter('pluginB', v => v, 'test-plugin');
+    unregisterPluginFilters('test-plugin');
+    assert.equal(hasFilter('pluginA'), false);
+    assert.equal(hasFilter('pluginB'), false);
+    assert.equal(hasFilter('upper'), true);
+  });
+
+  it('passes the value through when a filter throws', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    registerFilter('broken', () => { throw new Error('boom'); }, 'test-plugin');
+    assert.equal(evaluate('value | broken', { value: 42 }), 42);
+  });
+});
+
+describe('unknown filters', () => {
+  it('throw UNKNOWN_FILTER when evaluated', () => {
+    assert.throws(() => evaluate('price | curency("EUR")', { price: 12.5 }), {
+      code: 'UNKNOWN_FILTER',
+      message: 'Unknown filter "curency"'
+    });
+  });
+
+  it('are validation errors', () => {
+    const ast = new FMLParser({ phase2: true }).parse('<p>{price | curency("EUR")}</p>');
+    const result = validateFML(ast, {}, { phase2: true });
+    assert.equal(result.errors.length, 1);
+    assert.match(result.errors[0].message, /Unknown filter "curency" in interpolation\. Available: currency/);
+  });
+
+  it('never render the unformatted value', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    assert.equal(await render('<p>{price | curency("EUR")}</p>', { price: 12.5 }), '<p></p>');
+    assert.equal(await render('<If condition={price | nope}><p>shown</p></If>', { price: 1 }), '');
+    assert.equal(console.error.mock.callCount(), 2);
+  });
+});
@@ -0,0 +1,118 @@
+// test/fml/keyed-list.test.js
+// Keyed <For> reconciliation — items keep their DOM nodes and only items off the longest increasing run move
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseHTML } from 'linkedom';
+
+let FMLParser, FMLCompiler, mountFML;
+
+before(async () => {
+  const { window, document } = parseHTML('<!doctype html><html><body></body></html>');
+  Object.assign(globalThis, {
+    window,
+    document,
+    Node: window.Node,
+    Element: window.Element,
+    HTMLElement: window.HTMLElement,
+    Text: window.Text,
+    Comment: window.Comment,
+    DocumentFragment: window.DocumentFragment
+  });
+
+  // The client renderer reads DOM globals as it loads
+  ({ FMLParser } = await import('../../src/fml/parser/parser.js'));
+  ({ FMLCompiler } = await import('../../src/fml/compiler/compiler.js'));
+  ({ mountFML } = await import('../../src/fml/renderer/client.js'));
+});
+
+const LIST = '<ul><For each={items} as="item" key={item.id}><li>{item.name}</li></For></ul>';
+
+function item(id) {
+  return { id, name: id.toUpperCase() };
+}
+
+/**
+ * Mount the list and record which items the diff moves or inserts
+ */
+function mountList(ids) {
+  const compiled = new FMLCompiler({ phase2: true }).compile(new FMLParser({ phase2: true }).parse(LIST));
+  const target = document.createElement('div');
+  document.body.appendChild(target);
+
+  const instance = mountFML(compiled, target, { items: ids.map(item) }, { phase2: true });
+  const list = target.querySelector('ul');
+  const inserted = [];
+  const insertBefore = list.insertBefore.bind(list);
+  list.insertBefore = (node, ref) => {
+    // New items arrive as fragments, so read their text before it moves into the list
+    inserted.push(Array.from(node.childNodes, child => child.textContent).join('') || node.textContent);
+    return insertBefore(node, ref);
+  };
+
+  return {
+    update: next => {
+      inserted.length = 0;
+      instance.update({ items: next.map(item) });
+    },
+    items: () => Array.from(list.querySelectorAll('li')),
+    text: () => Array.from(list.querySelectorAll('li'), li => li.textContent).join(''),
+    moved: () => inserted.slice()
+  };
+}
+
+describe('keyed <For>', () => {
+  it('moves one node when the last item becomes first', () => {
+    const list = mountList(['a', 'b', 'c', 'd']);
+    const [a, b, c, d] = list.items();
+
+    list.update(['d', 'a', 'b', 'c']);
+
+    assert.equal(list.text(), 'DABC');
+    assert.deepEqual(list.items(), [d, a, b, c]);
+    assert.deepEqual(list.moved(), ['D']);
+  });
+
+  it('keeps every node when the list is reversed, moving all but one', () => {
+    const list = mountList(['a', 'b', 'c', 'd']);
+    const nodes = list.items();
+
+    list.update(['d', 'c', 'b', 'a']);
+
+    assert.equal(list.text(), 'DCBA');
+    assert.deepEqual(list.items(), nodes.slice().reverse());
+    assert.equal(list.moved().length, 3);
+  });
+
+  it('removes dropped keys and inserts new ones without touching the rest', () => {
+    const list = mountList(['a', 'b', 'c']);
+    const [a, , c] = list.items();
+
+    list.update(['a', 'c', 'e']);
+
+    assert.equal(list.text(), 'ACE');
+    assert.equal(list.items()[0], a);
+    assert.equal(list.items()[1], c);
+    assert.deepEqual(list.moved(), ['E']);
+  });
+
+  it('patches changed content in place', () => {
+    const list = mountList(['a', 'b']);
+    const [a, b] = list.items();
+
+    list.update(['a', 'b']);
+
+    assert.deepEqual(list.items(), [a, b]);
+    assert.deepEqual(list.moved(), []);
+  });
+
+  it('empties and refills the list', () => {
+    const list = mountList(['a', 'b']);
+
+    list.update([]);
+    assert.equal(list.text(), '');
+
+    list.update(['c', 'a']);
+    assert.equal(list.text(), 'CA');
+  });
+});
@@ -0,0 +1,86 @@
+// test/fml/partials.test.js
+// Partials — <Include> resolution, `with` values, cycle checks and recompiling when a nested partial changes
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { FMLParser } from '../../src/fml/parser/parser.js';
+import { FMLCompiler } from '../../src/fml/compiler/compiler.js';
+import { renderServer } from '../../src/fml/renderer/server.js';
+import { compileInclude, getIncludedFiles } from '../../src/fml/compiler/partials.js';
+
+let dir;
+
+function write(name, content) {
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, content);
+  return filePath;
+}
+
+// mtimes can repeat within a tick, so each edit moves the file a second ahead
+function edit(name, content) {
+  const filePath = write(name, content);
+  const { mtimeMs } = fs.statSync(filePath);
+  const later = new Date(mtimeMs + 1000);
+  fs.utimesSync(filePath, later, later);
+}
+
+function render(name, props = {}) {
+  const filePath = path.join(dir, name);
+  const ast = new FMLParser({ phase2: true }).parse(fs.readFileSync(filePath, 'utf-8'));
+  const compiled = new FMLCompiler({ phase2: true, filePath, resolveInclude: compileInclude }).compile(ast);
+  return renderServer(compiled, props, { phase2: true });
+}
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'folonite-partials-'));
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('<Include>', () => {
+  it('inlines a partial next to the including file, with its `with` values', async () => {
+    write('greeting.fml', '<p>Hello {name}</p>');
+    write('welcome.fml', '<main><Include src="greeting" with={{ name: user }} /></main>');
+
+    assert.equal(await render('welcome.fml', { user: 'Ada' }), '<main><p>Hello Ada</p></main>');
+  });
+
+  it('recompiles when a partial included by a partial changes', async () => {
+    write('inner.fml', '<b>one</b>');
+    write('outer.fml', '<div><Include src="inner.fml" /></div>');
+    const page = write('nested.fml', '<section><Include src="outer.fml" /></section>');
+
+    assert.equal(await render('nested.fml'), '<section><div><b>one</b></div></section>');
+    assert.deepEqual(getIncludedFiles(page).sort(), [path.join(dir, 'inner.fml'), path.join(dir, 'outer.fml')]);
+
+    edit('inner.fml', '<b>two</b>');
+    assert.equal(await render('nested.fml'), '<section><div><b>two</b></div></section>');
+  });
+
+  it('throws PARTIAL_NOT_FOUND for a missing partial', async () => {
+    write('broken.fml', '<div><Include src="missing.fml" /></div>');
+
+    await assert.rejects(async () => render('broken.fml'), { code: 'PARTIAL_NOT_FOUND' });
+  });
+
+  it('throws INCLUDE_CYCLE when partials include each other', async () => {
+    write('ping.fml', '<div><Include src="pong.fml" /></div>');
+    write('pong.fml', '<div><Include src="ping.fml" /></div>');
+    write('loop.fml', '<Include src="ping.fml" />');
+
+    await assert.rejects(async () => render('loop.fml'), {
+      code: 'INCLUDE_CYCLE',
+      message: /Circular include detected: .*(ping|pong)\.fml -> .*(ping|pong)\.fml -> /
+    });
+  });
+
+  it('is unavailable without a resolver', () => {
+    const ast = new FMLParser({ phase2: true }).parse('<Include src="greeting" />');
+    assert.throws(() => new FMLCompiler({ phase2: true }).compile(ast), /only available in server renders/);
+  });
+});
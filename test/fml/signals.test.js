@@ -0,0 +1,141 @@
+// test/fml/signals.test.js
+// Signals — dependency tracking, lazy computed values and the batched update queue
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { signal, computed, effect, batch, nextTick, untrack, isSignal } from '../../src/fml/renderer/signals.js';
+
+describe('signal', () => {
+  it('reads, writes and updates from the previous value', () => {
+    const count = signal(1);
+    count.value = 2;
+    count.update(n => n + 1);
+    assert.equal(count.value, 3);
+    assert.equal(count.peek(), 3);
+    assert.equal(isSignal(count), true);
+    assert.equal(JSON.stringify({ count }), '{"count":3}');
+  });
+
+  it('skips notifications when the value is equal', async () => {
+    const name = signal('a');
+    let runs = 0;
+    effect(() => { name.value; runs++; });
+
+    name.value = 'a';
+    await nextTick();
+    assert.equal(runs, 1);
+  });
+
+  it('accepts a custom equality check', async () => {
+    const point = signal({ x: 1 }, { equals: (a, b) => a.x === b.x });
+    let runs = 0;
+    effect(() => { point.value; runs++; });
+
+    point.value = { x: 1 };
+    await nextTick();
+    assert.equal(runs, 1);
+  });
+});
+
+describe('computed', () => {
+  it('recomputes lazily, only after a source changed', () => {
+    const price = signal(10);
+    let evaluations = 0;
+    const total = computed(() => { evaluations++; return price.value * 2; });
+
+    assert.equal(evaluations, 0);
+    assert.equal(total.value, 20);
+    assert.equal(total.value, 20);
+    assert.equal(evaluations, 1);
+
+    price.value = 5;
+    assert.equal(total.value, 10);
+    assert.equal(evaluations, 2);
+  });
+
+  it('is read-only', () => {
+    const doubled = computed(() => 2);
+    assert.throws(() => { doubled.value = 3; }, /read-only/);
+  });
+});
+
+describe('effect', () => {
+  it('runs once per flush however many sources changed', async () => {
+    const first = signal('Ada');
+    const last = signal('Lovelace');
+    const seen = [];
+    effect(() => seen.push(`${first.value} ${last.value}`));
+
+    first.value = 'Grace';
+    last.value = 'Hopper';
+    assert.deepEqual(seen, ['Ada Lovelace']);
+
+    await nextTick();
+    assert.deepEqual(seen, ['Ada Lovelace', 'Grace Hopper']);
+  });
+
+  it('applies batched writes synchronously at the end of batch()', () => {
+    const a = signal(1);
+    const b = signal(2);
+    const sums = [];
+    effect(() => sums.push(a.value + b.value));
+
+    batch(() => {
+      a.value = 10;
+      b.value = 20;
+    });
+    assert.deepEqual(sums, [3, 30]);
+  });
+
+  it('re-tracks its sources on every run', async () => {
+    const useFirst = signal(true);
+    const first = signal('a');
+    const second = signal('b');
+    let runs = 0;
+    effect(() => { runs++; return useFirst.value ? first.value : second.value; });
+
+    useFirst.value = false;
+    await nextTick();
+    first.value = 'changed';
+    await nextTick();
+    assert.equal(runs, 2);
+  });
+
+  it('runs the cleanup before re-running and stops after dispose', async () => {
+    const count = signal(0);
+    const events = [];
+    const dispose = effect(() => {
+      const value = count.value;
+      events.push(`run ${value}`);
+      return () => events.push(`cleanup ${value}`);
+    });
+
+    count.value = 1;
+    await nextTick();
+    dispose();
+    count.value = 2;
+    await nextTick();
+    assert.deepEqual(events, ['run 0', 'cleanup 0', 'run 1', 'cleanup 1']);
+  });
+
+  it('does not subscribe to reads inside untrack()', async () => {
+    const tracked = signal(1);
+    const ignored = signal(1);
+    let runs = 0;
+    effect(() => { runs++; tracked.value; untrack(() => ignored.value); });
+
+    ignored.value = 2;
+    await nextTick();
+    assert.equal(runs, 1);
+  });
+
+  it('drops updates that keep re-triggering themselves', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const count = signal(0);
+    const dispose = effect(() => { count.value = count.value + 1; });
+
+    await nextTick();
+    dispose();
+    assert.match(console.error.mock.calls[0].arguments[0], /Update loop detected/);
+  });
+});
@@ -0,0 +1,47 @@
+// test/fml/template-cache.test.js
+// Compiled template cache — reused across renders, kept apart from partials, dropped on hot reload
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { processFML, invalidateTemplateCache, getTemplateCacheStats } from '../../src/fml/index.js';
+import { cacheTemplate } from '../../src/fml/utils/helpers.js';
+
+const PAGE = '<main><h1>{title}</h1></main>';
+
+function render(title) {
+  return processFML(PAGE, { props: { title } });
+}
+
+describe('compiled template cache', () => {
+  beforeEach(() => invalidateTemplateCache());
+
+  it('reuses the compiled tree for the same source', async () => {
+    const before = getTemplateCacheStats();
+    assert.equal(await render('One'), '<main><h1>One</h1></main>');
+    assert.equal(await render('Two'), '<main><h1>Two</h1></main>');
+
+    const after = getTemplateCacheStats();
+    assert.equal(after.misses - before.misses, 1);
+    assert.equal(after.hits - before.hits, 1);
+    assert.equal(after.entries, 1);
+  });
+
+  it('keeps pages when the partials cache fills up', async () => {
+    await render('One');
+    for (let i = 0; i < 60; i++) cacheTemplate(`partial:filler-${i}`, { template: null, includes: [] });
+
+    const before = getTemplateCacheStats();
+    await render('Two');
+    assert.equal(getTemplateCacheStats().hits - before.hits, 1);
+    assert.ok(getTemplateCacheStats().maxEntries > 50);
+  });
+
+  it('compiles again after hot reload invalidates the cache', async () => {
+    await render('One');
+    invalidateTemplateCache();
+
+    const before = getTemplateCacheStats();
+    await render('Two');
+    assert.equal(getTemplateCacheStats().misses - before.misses, 1);
+  });
+});
@@ -0,0 +1,176 @@
+// test/router.test.js
+// Route table — ranking, [param] and catch-all matching, and picking up page changes
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { RouteTable, isValidPagePath } from '../src/router.js';
+
+const PAGES = [
+  'index.fml',
+  'about.js',
+  'blog/index.fml',
+  'blog/new.fml',
+  'blog/[slug].fml',
+  'docs/[...path].fml',
+  'shop/[[...filters]].fml',
+  'users/[id]/settings.js',
+  '_layout.fml',
+  '_private.fml',
+  '404.fml',
+  'blog/[slug].data.js'
+];
+
+let pagesDir;
+
+function writePage(relativePath, content = '<p></p>') {
+  const filePath = path.join(pagesDir, relativePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+}
+
+function matchFile(table, pageName) {
+  return table.match(pageName)?.route.file ?? null;
+}
+
+before(() => {
+  pagesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'folonite-routes-'));
+  PAGES.forEach(page => writePage(page));
+});
+
+after(() => {
+  fs.rmSync(pagesDir, { recursive: true, force: true });
+});
+
+describe('matching', () => {
+  it('resolves static pages and index files', () => {
+    const table = new RouteTable(pagesDir);
+    assert.equal(matchFile(table, ''), 'index.fml');
+    assert.equal(matchFile(table, 'about'), 'about.js');
+    assert.equal(matchFile(table, 'blog'), 'blog/index.fml');
+  });
+
+  it('prefers a static segment over a [param]', () => {
+    const table = new RouteTable(pagesDir);
+    assert.equal(matchFile(table, 'blog/new'), 'blog/new.fml');
+    assert.deepEqual(table.match('blog/hello-world').params, { slug: 'hello-world' });
+  });
+
+  it('decodes params and rejects malformed escapes', () => {
+    const table = new RouteTable(pagesDir);
+    assert.deepEqual(table.match('blog/caf%C3%A9').params, { slug: 'café' });
+    assert.equal(table.match('blog/%E0%A4%A'), null);
+  });
+
+  it('matches params in the middle of a path', () => {
+    const table = new RouteTable(pagesDir);
+    const { route, params } = table.match('users/7/settings');
+    assert.equal(route.file, 'users/[id]/settings.js');
+    assert.deepEqual(params, { id: '7' });
+  });
+
+  it('collects the rest of the path in a catch-all, which needs at least one segment', () => {
+    const table = new RouteTable(pagesDir);
+    assert.deepEqual(table.match('docs/guide/install').params, { path: ['guide', 'install'] });
+    assert.equal(table.match('docs'), null);
+  });
+
+  it('matches an optional catch-all with no segments', () => {
+    const table = new RouteTable(pagesDir);
+    assert.deepEqual(table.match('shop').params, { filters: [] });
+    assert.deepEqual(table.match('shop/red/large').params, { filters: ['red', 'large'] });
+  });
+
+  it('never routes underscore files, data loaders or unknown paths', () => {
+    const table = new RouteTable(pagesDir);
+    assert.equal(table.match('_private'), null);
+    assert.equal(table.match('_layout'), null);
+    assert.equal(table.match('missing/page'), null);
+    assert.equal(table.build().some(route => route.file.endsWith('.data.js')), false);
+  });
+
+  it('records layouts, data loaders and the 404 page', () => {
+    const table = new RouteTable(pagesDir);
+    const { route } = table.match('blog/post');
+    assert.deepEqual(route.layouts, [path.join(pagesDir, '_layout.fml')]);
+    assert.equal(route.dataPath, path.join(pagesDir, 'blog', '[slug].data.js'));
+    assert.equal(table.getSpecialPage('notFound').file, '404.fml');
+    assert.equal(table.match('404'), null);
+  });
+});
+
+describe('priority', () => {
+  let priorityDir;
+
+  before(() => {
+    priorityDir = fs.mkdtempSync(path.join(os.tmpdir(), 'folonite-priority-'));
+    ['about.fml', '[...all].fml', 'guides/index.fml', 'guides/setup.fml', 'guides/[topic].fml', 'guides/[[...rest]].fml']
+      .forEach(page => {
+        fs.mkdirSync(path.dirname(path.join(priorityDir, page)), { recursive: true });
+        fs.writeFileSync(path.join(priorityDir, page), '<p></p>');
+      });
+  });
+
+  after(() => {
+    fs.rmSync(priorityDir, { recursive: true, force: true });
+  });
+
+  it('ranks static over [param] over catch-alls, segment by segment', () => {
+    const table = new RouteTable(priorityDir);
+    assert.equal(matchFile(table, 'guides/setup'), 'guides/setup.fml');
+    assert.equal(matchFile(table, 'guides/install'), 'guides/[topic].fml');
+    assert.equal(matchFile(table, 'guides/install/linux'), 'guides/[[...rest]].fml');
+    assert.equal(matchFile(table, 'about'), 'about.fml');
+    assert.equal(matchFile(table, 'pricing/team'), '[...all].fml');
+  });
+
+  it('serves an index page ahead of an optional catch-all with no segments', () => {
+    const table = new RouteTable(priorityDir);
+    assert.equal(matchFile(table, 'guides'), 'guides/index.fml');
+    assert.deepEqual(table.match('guides/a/b').params, { rest: ['a', 'b'] });
+  });
+});
+
+describe('rebuilding', () => {
+  it('keeps the built table until it is invalidated', () => {
+    const table = new RouteTable(pagesDir);
+    table.match('');
+    writePage('added.fml');
+    try {
+      assert.equal(table.match('added'), null);
+      table.invalidate();
+      assert.equal(matchFile(table, 'added'), 'added.fml');
+    } finally {
+      fs.rmSync(path.join(pagesDir, 'added.fml'));
+    }
+  });
+
+  it('rebuilds on every lookup once the watcher fails', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const table = new RouteTable(pagesDir);
+    table.watch();
+    table.watcher?.emit('error', Object.assign(new Error('watch limit reached'), { code: 'ENOSPC' }));
+
+    assert.equal(table.watcher, null);
+    table.match('');
+    writePage('late.fml');
+    try {
+      assert.equal(matchFile(table, 'late'), 'late.fml');
+    } finally {
+      fs.rmSync(path.join(pagesDir, 'late.fml'));
+      table.unwatch();
+    }
+  });
+});
+
+describe('isValidPagePath', () => {
+  it('rejects traversal, backslashes and control characters', () => {
+    assert.equal(isValidPagePath('blog/post'), true);
+    assert.equal(isValidPagePath('../secret'), false);
+    assert.equal(isValidPagePath('blog/./post'), false);
+    assert.equal(isValidPagePath('blog\\post'), false);
+    assert.equal(isValidPagePath('blog\u0000post'), false);
+  });
+});